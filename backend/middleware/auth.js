@@ -1,25 +1,60 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Student = require('../models/Student');
+
+// Tokens carry the kind of account they were issued to, so a student token
+// is never accepted where an admin is required (and the other way round).
+// Admin tokens issued before students existed have no type.
+const TOKEN_TYPES = {
+  admin: 'admin',
+  student: 'student'
+};
+
+const readToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
+
+const handleAuthError = (error, res) => {
+  if (error.name === 'JsonWebTokenError') {
+    return res.status(401).json({
+      error: 'Invalid token.'
+    });
+  }
+  if (error.name === 'TokenExpiredError') {
+    return res.status(401).json({
+      error: 'Token expired.'
+    });
+  }
+
+  console.error('Auth middleware error:', error);
+  res.status(500).json({
+    error: 'Internal server error during authentication.'
+  });
+};
 
 const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+    const token = readToken(req);
+
     if (!token) {
-      return res.status(401).json({ 
-        error: 'Access denied. No token provided.' 
+      return res.status(401).json({
+        error: 'Access denied. No token provided.'
       });
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const admin = await Admin.findOne({ 
-      _id: decoded.id, 
-      isActive: true 
+    if (decoded.type && decoded.type !== TOKEN_TYPES.admin) {
+      return res.status(401).json({
+        error: 'Invalid token.'
+      });
+    }
+
+    const admin = await Admin.findOne({
+      _id: decoded.id,
+      isActive: true
     });
 
     if (!admin) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found.' 
+      return res.status(401).json({
+        error: 'Invalid token. User not found.'
       });
     }
 
@@ -27,36 +62,92 @@ const auth = async (req, res, next) => {
     req.token = token;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token.' 
+    handleAuthError(error, res);
+  }
+};
+
+// Load the student for a verified student token, or answer 401
+const authenticateStudent = async (decoded, token, req, res, next) => {
+  const student = await Student.findOne({
+    _id: decoded.id,
+    isActive: true
+  });
+
+  if (!student) {
+    return res.status(401).json({
+      error: 'Invalid token. User not found.'
+    });
+  }
+
+  req.student = student;
+  req.token = token;
+  next();
+};
+
+const studentAuth = async (req, res, next) => {
+  try {
+    const token = readToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'Access denied. No token provided.'
       });
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired.' 
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== TOKEN_TYPES.student) {
+      return res.status(401).json({
+        error: 'Invalid token.'
       });
     }
-    
-    console.error('Auth middleware error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error during authentication.' 
-    });
+
+    await authenticateStudent(decoded, token, req, res, next);
+  } catch (error) {
+    handleAuthError(error, res);
   }
 };
 
-const generateToken = (admin) => {
+// Sets req.student when a student token is sent; requests without one, or
+// with an admin token, carry on anonymously
+const optionalStudentAuth = async (req, res, next) => {
+  try {
+    const token = readToken(req);
+    const unverified = token ? jwt.decode(token) : null;
+    if (!unverified || unverified.type !== TOKEN_TYPES.student) return next();
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    await authenticateStudent(decoded, token, req, res, next);
+  } catch (error) {
+    handleAuthError(error, res);
+  }
+};
+
+const signToken = (payload) => {
   return jwt.sign(
-    { 
-      id: admin._id, 
-      email: admin.email, 
-      role: admin.role 
-    },
+    payload,
     process.env.JWT_SECRET,
-    { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d' 
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
     }
   );
 };
 
-module.exports = { auth, generateToken };
+const generateToken = (admin) => {
+  return signToken({
+    id: admin._id,
+    email: admin.email,
+    role: admin.role,
+    type: TOKEN_TYPES.admin
+  });
+};
+
+const generateStudentToken = (student) => {
+  return signToken({
+    id: student._id,
+    email: student.email,
+    role: 'student',
+    type: TOKEN_TYPES.student
+  });
+};
+
+module.exports = { auth, studentAuth, optionalStudentAuth, generateToken, generateStudentToken };
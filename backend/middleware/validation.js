@@ -1,14 +1,17 @@
 const Joi = require('joi');
 
-const validate = (schema) => {
+// Validate a request property and replace it with the converted value, so
+// routes see numbers, booleans and dates rather than raw strings
+const validate = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error, value } = schema.validate(req[property]);
     if (error) {
       return res.status(400).json({
         error: 'Validation error',
         details: error.details.map(detail => detail.message)
       });
     }
+    req[property] = value;
     next();
   };
 };
@@ -57,33 +60,356 @@ const authSchemas = {
   })
 };
 
+// Course fields as stored by the Course model; required ones are marked in
+// courseSchemas.create
+const courseFields = {
+  uniqueId: Joi.string().trim(),
+  courseName: Joi.string().trim(),
+  courseCode: Joi.string().trim(),
+  universityCode: Joi.string().trim(),
+  universityName: Joi.string().trim(),
+  departmentSchool: Joi.string().trim(),
+  disciplineMajor: Joi.string().trim(),
+  specialization: Joi.string().allow(''),
+  courseLevel: Joi.string().valid('Undergraduate', 'Postgraduate', 'Doctorate', 'Diploma', 'Certificate'),
+  overviewDescription: Joi.string(),
+  summary: Joi.string(),
+  prerequisites: Joi.array().items(Joi.string()),
+  learningOutcomes: Joi.array().items(Joi.string()),
+  teachingMethodology: Joi.string(),
+  assessmentMethods: Joi.array().items(Joi.string()),
+  credits: Joi.number().min(0),
+  durationMonths: Joi.number().min(0),
+  languageOfInstruction: Joi.string(),
+  syllabusUrl: Joi.string().allow(''),
+  keywords: Joi.array().items(Joi.string()),
+  professorName: Joi.string().allow(''),
+  professorEmail: Joi.string().email().allow(''),
+  officeLocation: Joi.string().allow(''),
+  openForIntake: Joi.string().allow(''),
+  admissionOpenYears: Joi.string(),
+  attendanceType: Joi.string().valid('Full-time', 'Part-time', 'Online'),
+  firstYearTuitionFee: Joi.number().min(0),
+  totalTuitionFee: Joi.number().min(0),
+  tuitionFeeCurrency: Joi.string(),
+  applicationFeeAmount: Joi.number().min(0),
+  applicationFeeCurrency: Joi.string(),
+  applicationFeeWaived: Joi.boolean(),
+  requiredApplicationMaterials: Joi.string(),
+  twelfthGradeRequirement: Joi.string().allow(''),
+  undergraduateDegreeRequirement: Joi.string().allow(''),
+  minimumIELTSScore: Joi.number().min(0),
+  minimumTOEFLScore: Joi.number().min(0),
+  minimumPTEScore: Joi.number().min(0),
+  minimumDuolingoScore: Joi.number().min(0),
+  minimumCambridgeEnglishScore: Joi.string().allow(''),
+  otherEnglishTestsAccepted: Joi.string().allow(''),
+  greRequired: Joi.boolean(),
+  greScore: Joi.string().allow(''),
+  gmatRequired: Joi.boolean(),
+  gmatScore: Joi.string().allow(''),
+  satRequired: Joi.boolean(),
+  satScore: Joi.string().allow(''),
+  actRequired: Joi.boolean(),
+  actScore: Joi.string().allow(''),
+  waiverOptions: Joi.string().allow(''),
+  partnerCourse: Joi.boolean(),
+  ftRanking2024: Joi.number().integer().min(1),
+  acceptanceRate: Joi.number().min(0).max(100),
+  domesticApplicationDeadline: Joi.string(),
+  internationalApplicationDeadline: Joi.string(),
+  courseUrl: Joi.string()
+};
+
+const requiredCourseFields = [
+  'uniqueId', 'courseName', 'courseCode', 'universityCode', 'universityName',
+  'departmentSchool', 'disciplineMajor', 'courseLevel', 'overviewDescription',
+  'summary', 'teachingMethodology', 'credits', 'durationMonths',
+  'languageOfInstruction', 'admissionOpenYears', 'attendanceType',
+  'firstYearTuitionFee', 'totalTuitionFee', 'applicationFeeAmount',
+  'requiredApplicationMaterials', 'domesticApplicationDeadline',
+  'internationalApplicationDeadline', 'courseUrl'
+];
+
+// Build a course schema where the given fields are required
+const courseSchemaRequiring = (fields) => {
+  const keys = { ...courseFields };
+  fields.forEach((field) => {
+    keys[field] = keys[field].required();
+  });
+  return Joi.object(keys);
+};
+
+// Empty query parameters (e.g. `?query=`) count as not given
+const emptyAsMissing = (keys) => {
+  return Object.fromEntries(Object.entries(keys).map(([key, schema]) => [key, schema.empty('')]));
+};
+
+// Query parameters accepted by the course listing and export endpoints.
+// Parameters the API does not know, such as cache busters, are dropped.
+const courseSearchSchema = Joi.object(emptyAsMissing({
+  query: Joi.string().optional(),
+  universityCode: Joi.string().optional(),
+  courseLevel: Joi.string().valid('Undergraduate', 'Postgraduate', 'Doctorate', 'Diploma', 'Certificate').optional(),
+  disciplineMajor: Joi.string().optional(),
+  attendanceType: Joi.string().valid('Full-time', 'Part-time', 'Online').optional(),
+  languageOfInstruction: Joi.string().optional(),
+  currency: Joi.string().optional(),
+  minTuition: Joi.number().min(0).optional(),
+  maxTuition: Joi.number().min(0).optional(),
+  minTotalTuition: Joi.number().min(0).optional(),
+  maxTotalTuition: Joi.number().min(0).optional(),
+  minDuration: Joi.number().min(0).optional(),
+  maxDuration: Joi.number().min(0).optional(),
+  minCredits: Joi.number().min(0).optional(),
+  maxCredits: Joi.number().min(0).optional(),
+  minAcceptanceRate: Joi.number().min(0).max(100).optional(),
+  maxAcceptanceRate: Joi.number().min(0).max(100).optional(),
+  noGreRequired: Joi.boolean().optional(),
+  noGmatRequired: Joi.boolean().optional(),
+  noSatRequired: Joi.boolean().optional(),
+  noActRequired: Joi.boolean().optional(),
+  ieltsScore: Joi.number().min(0).max(9).optional(),
+  toeflScore: Joi.number().min(0).max(120).optional(),
+  pteScore: Joi.number().min(0).max(90).optional(),
+  duolingoScore: Joi.number().min(0).max(160).optional(),
+  applicationFeeWaived: Joi.boolean().optional(),
+  partnerCourse: Joi.boolean().optional(),
+  deadlineAfter: Joi.date().iso().optional(),
+  includeArchived: Joi.boolean().optional(),
+  facets: Joi.boolean().optional(),
+  sort: Joi.string().optional(),
+  after: Joi.string().optional(),
+  before: Joi.string().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+})).prefs({ stripUnknown: true });
+
+// Student details used to check course admission requirements
+const studentProfileSchema = Joi.object({
+  ieltsScore: Joi.number().min(0).max(9).optional(),
+  toeflScore: Joi.number().min(0).max(120).optional(),
+  pteScore: Joi.number().min(0).max(90).optional(),
+  duolingoScore: Joi.number().min(0).max(160).optional(),
+  greScore: Joi.number().min(0).optional(),
+  gmatScore: Joi.number().min(0).optional(),
+  satScore: Joi.number().min(0).optional(),
+  actScore: Joi.number().min(0).optional(),
+  highestQualification: Joi.string().valid('secondary', 'diploma', 'bachelor', 'master', 'doctorate').optional(),
+  budget: Joi.number().min(0).optional(),
+  currency: Joi.string().optional(),
+  residency: Joi.string().valid('domestic', 'international').optional()
+});
+
 const courseSchemas = {
-  search: Joi.object({
-    query: Joi.string().optional(),
-    universityCode: Joi.string().optional(),
-    courseLevel: Joi.string().valid('Undergraduate', 'Postgraduate', 'Doctorate', 'Diploma', 'Certificate').optional(),
+  search: courseSearchSchema,
+
+  suggest: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(20).optional()
+  }),
+
+  compare: Joi.object({
+    ids: Joi.string().required()
+      .messages({
+        'any.required': 'Course ids are required'
+      }),
+    currency: Joi.string().optional()
+  }),
+
+  similar: Joi.object({
+    limit: Joi.number().integer().min(1).max(20).optional()
+  }),
+
+  upcomingDeadlines: Joi.object({
+    days: Joi.number().integer().min(1).max(365).optional(),
+    type: Joi.string().valid('domestic', 'international').optional(),
+    courseLevel: courseFields.courseLevel.optional(),
     disciplineMajor: Joi.string().optional(),
-    attendanceType: Joi.string().valid('Full-time', 'Part-time', 'Online').optional(),
-    minTuition: Joi.number().min(0).optional(),
-    maxTuition: Joi.number().min(0).optional(),
+    universityCode: Joi.string().optional(),
     limit: Joi.number().integer().min(1).max(100).optional()
   }),
 
+  deadlineSubscription: Joi.object({
+    deadlineType: Joi.string().valid('domestic', 'international').optional()
+  }),
+
+  calendar: Joi.object({
+    type: Joi.string().valid('domestic', 'international').optional()
+  }),
+
+  // Either a list of course ids or the listing filters of a search
+  calendarFeed: courseSearchSchema.keys({
+    ids: Joi.string().optional(),
+    type: Joi.string().valid('domestic', 'international').optional(),
+    name: Joi.string().max(100).optional()
+  }),
+
+  eligibility: Joi.object({
+    profile: studentProfileSchema.required()
+      .messages({
+        'any.required': 'Student profile is required'
+      }),
+    courseIds: Joi.array().items(Joi.string()).min(1).max(100).optional(),
+    filters: courseSearchSchema.optional(),
+    eligibleOnly: Joi.boolean().optional(),
+    limit: Joi.number().integer().min(1).max(200).optional()
+  }).oxor('courseIds', 'filters'),
+
+  export: courseSearchSchema.keys({
+    format: Joi.string().valid('csv', 'json', 'ndjson').optional()
+  }),
+
   upload: Joi.object({
     // This will be handled by multer for file upload
+  }),
+
+  create: courseSchemaRequiring(requiredCourseFields),
+
+  // Full replacement; the uniqueId comes from the URL when omitted
+  replace: courseSchemaRequiring(requiredCourseFields.filter(field => field !== 'uniqueId')),
+
+  update: Joi.object(courseFields).min(1)
+    .messages({
+      'object.min': 'At least one course field is required'
+    }),
+
+  archive: Joi.object({
+    status: Joi.string().valid('archived', 'discontinued').optional(),
+    reason: Joi.string().max(500).optional()
   })
 };
 
+const mappingProfileFields = {
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow('').optional(),
+  columns: Joi.array().items(Joi.object({
+    source: Joi.string().required(),
+    field: Joi.string().required()
+  })).min(1)
+    .messages({
+      'array.min': 'At least one column mapping is required'
+    }),
+  delimiters: Joi.object().pattern(Joi.string(), Joi.string().min(1)).optional(),
+  booleanTrueValues: Joi.array().items(Joi.string()).optional(),
+  booleanFalseValues: Joi.array().items(Joi.string()).optional(),
+  defaults: Joi.object().optional(),
+  passthroughMatchingColumns: Joi.boolean().optional()
+};
+
+const mappingProfileSchemas = {
+  create: Joi.object({
+    ...mappingProfileFields,
+    name: mappingProfileFields.name.required()
+      .messages({
+        'any.required': 'Profile name is required'
+      }),
+    columns: mappingProfileFields.columns.required()
+      .messages({
+        'any.required': 'Column mappings are required'
+      })
+  }),
+
+  update: Joi.object(mappingProfileFields).min(1)
+};
+
+const exchangeRateSchemas = {
+  upsert: Joi.object({
+    rate: Joi.number().positive().required()
+      .messages({
+        'any.required': 'Exchange rate is required'
+      })
+  }),
+
+  bulk: Joi.object({
+    rates: Joi.object()
+      .pattern(/^[A-Za-z]{3}$/, Joi.number().positive())
+      .min(1)
+      .required()
+      .messages({
+        'object.unknown': 'Rates must be keyed by three-letter currency codes',
+        'any.required': 'Rates are required'
+      })
+  })
+};
+
+// Preferences a recommendation request is made with. Students can store
+// them to pre-fill their requests.
+const recommendationPreferenceFields = {
+  topics: Joi.array().items(Joi.string()).min(1)
+    .messages({
+      'array.min': 'At least one topic is required'
+    }),
+  skillLevel: Joi.string().valid('beginner', 'intermediate', 'advanced').optional(),
+  duration: Joi.string().valid('short', 'medium', 'long').optional(),
+  maxTuition: Joi.number().min(0).optional(),
+  currency: Joi.string().optional(),
+  studentProfile: studentProfileSchema.keys({
+    preferredAttendanceType: Joi.string().valid('Full-time', 'Part-time', 'Online').optional(),
+    preferredLanguage: Joi.string().optional(),
+    intakeYear: Joi.number().integer().min(2000).max(2100).optional()
+  }).optional()
+};
+
 const recommendationSchemas = {
   getRecommendations: Joi.object({
-    topics: Joi.array().items(Joi.string()).min(1).required()
+    ...recommendationPreferenceFields,
+    topics: recommendationPreferenceFields.topics.required()
       .messages({
-        'array.min': 'At least one topic is required',
         'any.required': 'Topics are required'
+      })
+  })
+};
+
+const studentSchemas = {
+  signup: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    email: authSchemas.signup.extract('email'),
+    password: authSchemas.signup.extract('password')
+  }),
+
+  login: authSchemas.login,
+
+  // Replaces the stored preferences
+  preferences: Joi.object(recommendationPreferenceFields),
+
+  shortlist: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'any.required': 'Shortlist name is required'
+      })
+  }),
+
+  addCourse: Joi.object({
+    courseId: Joi.string().trim().required()
+      .messages({
+        'any.required': 'Course ID is required'
+      }),
+    note: Joi.string().allow('').max(2000).optional()
+  }),
+
+  updateCourse: Joi.object({
+    note: Joi.string().allow('').max(2000).required()
+      .messages({
+        'any.required': 'Note is required'
+      })
+  })
+};
+
+const eventSchemas = {
+  record: Joi.object({
+    type: Joi.string().valid('view', 'click', 'thumbsUp', 'thumbsDown', 'save').required()
+      .messages({
+        'any.required': 'Event type is required'
+      }),
+    courseId: Joi.string().trim().required()
+      .messages({
+        'any.required': 'Course ID is required'
       }),
-    skillLevel: Joi.string().valid('beginner', 'intermediate', 'advanced').optional(),
-    duration: Joi.string().valid('short', 'medium', 'long').optional(),
-    maxTuition: Joi.number().min(0).optional()
+    // Topics of the recommendation request the course was shown for
+    topics: Joi.array().items(Joi.string().max(100)).max(10).optional(),
+    // Client-generated id of the browsing session, for anonymous visitors
+    sessionId: Joi.string().max(100).optional()
   })
 };
 
@@ -91,5 +417,9 @@ module.exports = {
   validate,
   authSchemas,
   courseSchemas,
-  recommendationSchemas
+  mappingProfileSchemas,
+  exchangeRateSchemas,
+  recommendationSchemas,
+  eventSchemas,
+  studentSchemas
 };
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const credentialsPlugin = require('./plugins/credentials');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -31,18 +31,6 @@ const adminSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  },
-  lastLogin: {
-    type: Date,
-    default: null
-  },
-  loginAttempts: {
-    type: Number,
-    default: 0
-  },
-  lockUntil: {
-    type: Date,
-    default: null
   }
 }, {
   timestamps: true
@@ -52,87 +40,8 @@ const adminSchema = new mongoose.Schema({
 adminSchema.index({ email: 1 });
 adminSchema.index({ username: 1 });
 
-// Virtual for checking if account is locked
-adminSchema.virtual('isLocked').get(function() {
-  return !!(this.lockUntil && this.lockUntil > Date.now());
-});
-
-// Pre-save middleware to hash password
-adminSchema.pre('save', async function(next) {
-  // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
-
-  try {
-    // Hash password with cost of 12
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Instance method to compare password
-adminSchema.methods.comparePassword = async function(candidatePassword) {
-  try {
-    return await bcrypt.compare(candidatePassword, this.password);
-  } catch (error) {
-    throw new Error('Password comparison failed');
-  }
-};
-
-// Instance method to increment login attempts
-adminSchema.methods.incLoginAttempts = function() {
-  // If we have a previous lock that has expired, restart at 1
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
-      $unset: { lockUntil: 1 },
-      $set: { loginAttempts: 1 }
-    });
-  }
-  
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 failed attempts for 2 hours
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
-  }
-  
-  return this.updateOne(updates);
-};
-
-// Instance method to reset login attempts
-adminSchema.methods.resetLoginAttempts = function() {
-  return this.updateOne({
-    $unset: { loginAttempts: 1, lockUntil: 1 },
-    $set: { lastLogin: new Date() }
-  });
-};
-
-// Static method to find admin by credentials
-adminSchema.statics.findByCredentials = async function(email, password) {
-  const admin = await this.findOne({ email, isActive: true });
-  
-  if (!admin) {
-    throw new Error('Invalid login credentials');
-  }
-  
-  if (admin.isLocked) {
-    throw new Error('Account is temporarily locked due to too many failed attempts');
-  }
-  
-  const isMatch = await admin.comparePassword(password);
-  
-  if (!isMatch) {
-    await admin.incLoginAttempts();
-    throw new Error('Invalid login credentials');
-  }
-  
-  // Reset login attempts on successful login
-  await admin.resetLoginAttempts();
-  
-  return admin;
-};
+// Password hashing, login attempts and lockout
+adminSchema.plugin(credentialsPlugin);
 
 // Ensure virtual fields are serialized
 adminSchema.set('toJSON', {
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { SEARCH_GRAM_FIELDS, buildSearchGrams } = require('../utils/searchText');
+const { TUITION_FIELDS, getExchangeRates, buildBaseTuition } = require('../utils/currency');
+const { DEADLINE_DATE_FIELDS, buildDeadlineDates } = require('../utils/deadlines');
 
 const courseSchema = new mongoose.Schema({
   uniqueId: {
@@ -214,6 +217,50 @@ const courseSchema = new mongoose.Schema({
   courseUrl: {
     type: String,
     required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'archived', 'discontinued'],
+    default: 'active',
+    index: true
+  },
+  archivedAt: {
+    type: Date
+  },
+  archiveReason: {
+    type: String
+  },
+  // Trigrams of the searchable text, kept up to date on save; used for
+  // typo-tolerant search and autocomplete
+  searchGrams: {
+    type: [String],
+    select: false
+  },
+  // Tuition converted to the base currency with the admin-maintained
+  // exchange rates; null when the course currency has no rate
+  baseTuitionFee: {
+    type: Number,
+    default: null
+  },
+  baseTotalTuitionFee: {
+    type: Number,
+    default: null
+  },
+  // Application deadlines parsed from the deadline strings; null when a
+  // deadline is missing or cannot be read as a date
+  domesticDeadlineDate: {
+    type: Date,
+    default: null
+  },
+  internationalDeadlineDate: {
+    type: Date,
+    default: null
+  },
+  // Time-decayed engagement score from student events, refreshed by the
+  // nightly engagement rollup
+  popularityScore: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -224,6 +271,17 @@ courseSchema.index({ universityCode: 1, courseLevel: 1 });
 courseSchema.index({ disciplineMajor: 1, courseLevel: 1 });
 courseSchema.index({ firstYearTuitionFee: 1, courseLevel: 1 });
 courseSchema.index({ attendanceType: 1, courseLevel: 1 });
+courseSchema.index({ languageOfInstruction: 1, courseLevel: 1 });
+courseSchema.index({ durationMonths: 1 });
+courseSchema.index({ totalTuitionFee: 1 });
+courseSchema.index({ minimumIELTSScore: 1, minimumTOEFLScore: 1 });
+courseSchema.index({ greRequired: 1, gmatRequired: 1 });
+courseSchema.index({ searchGrams: 1 });
+courseSchema.index({ baseTuitionFee: 1, courseLevel: 1 });
+courseSchema.index({ baseTotalTuitionFee: 1 });
+courseSchema.index({ popularityScore: -1 });
+courseSchema.index({ domesticDeadlineDate: 1 });
+courseSchema.index({ internationalDeadlineDate: 1 });
 
 // Text index for full-text search
 courseSchema.index({
@@ -238,11 +296,44 @@ courseSchema.virtual('formattedTuitionFee').get(function() {
   return `${this.tuitionFeeCurrency} ${this.firstYearTuitionFee.toLocaleString()}`;
 });
 
+// Virtual for archived or discontinued courses, which are hidden from listings
+courseSchema.virtual('isArchived').get(function() {
+  return this.status === 'archived' || this.status === 'discontinued';
+});
+
 // Virtual for duration in years
 courseSchema.virtual('durationYears').get(function() {
   return (this.durationMonths / 12).toFixed(1);
 });
 
+// Pre-save middleware to refresh the search trigrams
+courseSchema.pre('save', function(next) {
+  if (this.isNew || SEARCH_GRAM_FIELDS.some(field => this.isModified(field))) {
+    this.searchGrams = buildSearchGrams(this);
+  }
+  next();
+});
+
+// Pre-save middleware to parse the application deadlines
+courseSchema.pre('save', function(next) {
+  if (this.isNew || Object.keys(DEADLINE_DATE_FIELDS).some(field => this.isModified(field))) {
+    Object.assign(this, buildDeadlineDates(this));
+  }
+  next();
+});
+
+// Pre-save middleware to convert tuition to the base currency
+courseSchema.pre('save', async function(next) {
+  if (!this.isNew && !TUITION_FIELDS.some(field => this.isModified(field))) return next();
+
+  try {
+    Object.assign(this, buildBaseTuition(this, await getExchangeRates()));
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Instance method to get course summary
 courseSchema.methods.getSummary = function() {
   return {
@@ -297,6 +388,114 @@ courseSchema.statics.searchCourses = function(query, filters = {}) {
     .limit(filters.limit || 50);
 };
 
+// Static method to add search trigrams to courses stored without them.
+// Returns the number of courses updated.
+courseSchema.statics.backfillSearchGrams = async function(batchSize = 500) {
+  const cursor = this.find({ searchGrams: { $exists: false } })
+    .select(SEARCH_GRAM_FIELDS.join(' '))
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let updated = 0;
+
+  for await (const course of cursor) {
+    updates.push({
+      updateOne: {
+        filter: { _id: course._id },
+        update: { $set: { searchGrams: buildSearchGrams(course) } }
+      }
+    });
+
+    if (updates.length >= batchSize) {
+      await this.bulkWrite(updates, { ordered: false });
+      updated += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates, { ordered: false });
+    updated += updates.length;
+  }
+
+  return updated;
+};
+
+// Static method to parse the deadlines of courses stored without deadline
+// dates. Returns the number of courses updated.
+courseSchema.statics.backfillDeadlineDates = async function(batchSize = 500) {
+  const cursor = this.find({ internationalDeadlineDate: { $exists: false } })
+    .select(Object.keys(DEADLINE_DATE_FIELDS).join(' '))
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let updated = 0;
+
+  for await (const course of cursor) {
+    updates.push({
+      updateOne: {
+        filter: { _id: course._id },
+        update: { $set: buildDeadlineDates(course) }
+      }
+    });
+
+    if (updates.length >= batchSize) {
+      await this.bulkWrite(updates, { ordered: false });
+      updated += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates, { ordered: false });
+    updated += updates.length;
+  }
+
+  return updated;
+};
+
+// Static method to recompute base currency tuition after exchange rates
+// change. Returns the number of courses updated.
+courseSchema.statics.refreshBaseTuition = async function(rates, batchSize = 500) {
+  const cursor = this.find()
+    .select([...TUITION_FIELDS, 'baseTuitionFee', 'baseTotalTuitionFee'].join(' '))
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let updated = 0;
+
+  for await (const course of cursor) {
+    const baseTuition = buildBaseTuition(course, rates);
+    if (baseTuition.baseTuitionFee === course.baseTuitionFee &&
+        baseTuition.baseTotalTuitionFee === course.baseTotalTuitionFee) {
+      continue;
+    }
+
+    updates.push({
+      updateOne: {
+        filter: { _id: course._id },
+        update: { $set: baseTuition }
+      }
+    });
+
+    if (updates.length >= batchSize) {
+      await this.bulkWrite(updates, { ordered: false });
+      updated += updates.length;
+      updates = [];
+    }
+  }
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates, { ordered: false });
+    updated += updates.length;
+  }
+
+  return updated;
+};
+
 // Ensure virtual fields are serialized
 courseSchema.set('toJSON', {
   virtuals: true,
@@ -304,6 +503,7 @@ courseSchema.set('toJSON', {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    delete ret.searchGrams;
     return ret;
   }
 });
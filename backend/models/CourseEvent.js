@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Anonymous interactions with courses, kept until the nightly rollup has
+// counted them and EVENT_RETENTION_DAYS have passed
+const EVENT_TYPES = ['view', 'click', 'thumbsUp', 'thumbsDown', 'save'];
+
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS) || 30;
+
+const courseEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  // Course uniqueId
+  courseId: {
+    type: String,
+    required: [true, 'Course ID is required'],
+    trim: true
+  },
+  // Normalized topics of the recommendation request the event came from
+  topics: {
+    type: [String],
+    default: []
+  },
+  // Set when a rollup claims the event, so it is only counted once
+  rollupId: {
+    type: String,
+    default: null
+  },
+  // Set once the claiming rollup's counts are written; claimed events without
+  // it are picked up again by the next rollup
+  rolledUpAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+courseEventSchema.index({ rollupId: 1, createdAt: 1 });
+courseEventSchema.index({ rolledUpAt: 1, rollupId: 1 });
+courseEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Ensure virtual fields are serialized
+courseEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.rollupId;
+    delete ret.rolledUpAt;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CourseEvent', courseEventSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  _id: false
+});
+
+const courseRevisionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    index: true
+  },
+  uniqueId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'manual', 'rollback'],
+    required: true
+  },
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    default: null,
+    index: true
+  },
+  // Revision this change restored, for rollbacks
+  rollbackOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseRevision',
+    default: null
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  changes: [fieldChangeSchema],
+  // Course fields as they stood after this revision; for deletes, the last
+  // state before the course was removed
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+courseRevisionSchema.index({ uniqueId: 1, createdAt: -1 });
+
+// Ensure virtual fields are serialized
+courseRevisionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
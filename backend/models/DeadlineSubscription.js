@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A student's subscription to reminders about a course's application
+// deadline
+const deadlineSubscriptionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Course uniqueId
+  courseId: {
+    type: String,
+    required: [true, 'Course ID is required']
+  },
+  deadlineType: {
+    type: String,
+    enum: ['domestic', 'international'],
+    default: 'international'
+  },
+  // Reminders already sent, per deadline date, so a moved deadline gets its
+  // own reminders
+  remindersSent: [{
+    _id: false,
+    deadline: Date,
+    offsetDays: Number,
+    sentAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+deadlineSubscriptionSchema.index({ student: 1, courseId: 1 }, { unique: true });
+deadlineSubscriptionSchema.index({ courseId: 1 });
+
+// Ensure virtual fields are serialized
+deadlineSubscriptionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DeadlineSubscription', deadlineSubscriptionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Daily event counts per course. Rows with a topic count the events of
+// recommendations made for that topic; the row with a null topic counts
+// every event for the course.
+const engagementRollupSchema = new mongoose.Schema({
+  courseId: {
+    type: String,
+    required: true
+  },
+  topic: {
+    type: String,
+    default: null
+  },
+  // UTC midnight of the day the events happened
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  thumbsUp: {
+    type: Number,
+    default: 0
+  },
+  thumbsDown: {
+    type: Number,
+    default: 0
+  },
+  saves: {
+    type: Number,
+    default: 0
+  },
+  // Rollups whose counts have been added, so a retried rollup never adds
+  // its counts twice
+  rollupIds: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+engagementRollupSchema.index({ courseId: 1, topic: 1, day: 1 }, { unique: true });
+engagementRollupSchema.index({ topic: 1, day: 1 });
+
+module.exports = mongoose.model('EngagementRollup', engagementRollupSchema);
@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+
+// Only the first MAX_STORED_ERRORS row errors and warnings (and
+// MAX_STORED_PREVIEW dry-run rows) are kept on the job document so a large or badly formatted file
+// cannot push it past MongoDB's document size limit.
+const MAX_STORED_ERRORS = 1000;
+const MAX_STORED_PREVIEW = 5000;
+
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  error: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  _id: false
+});
+
+// Rows imported with values that could not be fully used, such as
+// application deadlines that are not dates
+const rowWarningSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  uniqueId: {
+    type: String
+  },
+  field: {
+    type: String
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  warning: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+const previewRowSchema = new mongoose.Schema({
+  // File row number; not set for courses archived because they were missing
+  row: {
+    type: Number
+  },
+  uniqueId: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'unchanged', 'reject', 'archive'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  error: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  originalFilename: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'ndjson', 'xlsx'],
+    default: 'csv'
+  },
+  // Worksheet to read from XLSX workbooks (defaults to the first sheet)
+  sheet: {
+    type: String,
+    default: null
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // Archive courses of the imported universities that are missing from the file
+  archiveMissing: {
+    type: Boolean,
+    default: false
+  },
+  mappingProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingProfile',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    index: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  successfulRows: {
+    type: Number,
+    default: 0
+  },
+  createdRows: {
+    type: Number,
+    default: 0
+  },
+  updatedRows: {
+    type: Number,
+    default: 0
+  },
+  unchangedRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  archivedCourses: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [rowErrorSchema],
+  errorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  rowWarnings: [rowWarningSchema],
+  warningsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  preview: [previewRowSchema],
+  previewTruncated: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  // Refreshed while the job is processing; a job whose heartbeat stops was
+  // interrupted
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  rolledBackChanges: {
+    type: Number,
+    default: 0
+  },
+  // Courses or fields the rollback left alone because they were edited after
+  // the import
+  rollbackConflicts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+// Virtual for processing time in milliseconds
+importJobSchema.virtual('durationMs').get(function() {
+  if (!this.startedAt) return null;
+  const end = this.completedAt || new Date();
+  return end.getTime() - this.startedAt.getTime();
+});
+
+// Instance method to record a failed row, keeping the stored list bounded
+importJobSchema.methods.addRowError = function(row, error, data) {
+  this.failedRows++;
+  if (this.rowErrors.length < MAX_STORED_ERRORS) {
+    this.rowErrors.push({ row, error, data });
+  } else {
+    this.errorsTruncated = true;
+  }
+};
+
+// Instance method to record a row warning, keeping the stored list bounded
+importJobSchema.methods.addRowWarning = function(warning) {
+  if (this.rowWarnings.length < MAX_STORED_ERRORS) {
+    this.rowWarnings.push(warning);
+  } else {
+    this.warningsTruncated = true;
+  }
+};
+
+// Instance method to record what a dry run would do with a row
+importJobSchema.methods.addPreviewRow = function(previewRow) {
+  if (this.preview.length < MAX_STORED_PREVIEW) {
+    this.preview.push(previewRow);
+  } else {
+    this.previewTruncated = true;
+  }
+};
+
+// Static method to fail processing jobs whose heartbeat stopped before
+// `staleBefore`, so jobs another server is still running are left alone.
+// Returns the failed jobs.
+importJobSchema.statics.failStaleJobs = async function(staleBefore) {
+  const stale = await this.find({
+    status: 'processing',
+    $or: [
+      { heartbeatAt: { $lt: staleBefore } },
+      { heartbeatAt: null, updatedAt: { $lt: staleBefore } }
+    ]
+  }).select('filePath heartbeatAt');
+
+  const failed = [];
+  for (const job of stale) {
+    // A heartbeat since the find means the job is still alive
+    const result = await this.updateOne(
+      { _id: job._id, status: 'processing', heartbeatAt: job.heartbeatAt },
+      {
+        $set: {
+          status: 'failed',
+          failureReason: 'Import was interrupted by a server restart',
+          completedAt: new Date()
+        }
+      }
+    );
+    if (result.modifiedCount > 0) failed.push(job);
+  }
+
+  return failed;
+};
+
+// Ensure virtual fields are serialized
+importJobSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.filePath;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { isCourseField } = require('../utils/courseMapping');
+
+const columnMappingSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: [true, 'Source column is required'],
+    trim: true
+  },
+  field: {
+    type: String,
+    required: [true, 'Target course field is required'],
+    validate: {
+      validator: isCourseField,
+      message: props => `${props.value} is not a course field`
+    }
+  }
+}, {
+  _id: false
+});
+
+const mappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Profile name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  columns: {
+    type: [columnMappingSchema],
+    validate: {
+      validator: columns => columns.length > 0,
+      message: 'At least one column mapping is required'
+    }
+  },
+  // Split delimiter per array field, e.g. { keywords: ',', prerequisites: ';' }
+  delimiters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  booleanTrueValues: {
+    type: [String],
+    default: ['true', 'yes', 'y', '1']
+  },
+  booleanFalseValues: {
+    type: [String],
+    default: ['false', 'no', 'n', '0']
+  },
+  // Values used when the mapped column is missing or empty
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Use columns already named after a course field when no mapping covers them
+  passthroughMatchingColumns: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+mappingProfileSchema.path('defaults').validate(function(defaults) {
+  return Object.keys(defaults || {}).every(isCourseField);
+}, 'Defaults may only set course fields');
+
+mappingProfileSchema.path('delimiters').validate(function(delimiters) {
+  return [...(delimiters || new Map()).keys()].every(isCourseField);
+}, 'Delimiters may only be set for course fields');
+
+// Ensure virtual fields are serialized
+mappingProfileSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('MappingProfile', mappingProfileSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Courses kept in one shortlist
+const MAX_SHORTLIST_COURSES = 100;
+
+const shortlistCourseSchema = new mongoose.Schema({
+  // Course uniqueId
+  courseId: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const shortlistSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shortlist name is required'],
+    trim: true,
+    maxlength: [100, 'Shortlist name cannot exceed 100 characters']
+  },
+  courses: {
+    type: [shortlistCourseSchema],
+    validate: [
+      courses => courses.length <= MAX_SHORTLIST_COURSES,
+      `A shortlist cannot hold more than ${MAX_SHORTLIST_COURSES} courses`
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+// Shortlist names are unique per student
+shortlistSchema.index({ student: 1, name: 1 }, { unique: true });
+
+// Ensure virtual fields are serialized
+shortlistSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Shortlist', shortlistSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const credentialsPlugin = require('./plugins/credentials');
+
+const studentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [6, 'Password must be at least 6 characters long']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Stored recommendation preferences, used to pre-fill recommendation
+  // requests; validated with studentSchemas.preferences
+  preferences: {
+    topics: {
+      type: [String],
+      default: undefined
+    },
+    skillLevel: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    duration: {
+      type: String,
+      enum: ['short', 'medium', 'long']
+    },
+    maxTuition: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String
+    },
+    // Test scores, qualification, budget and study preferences
+    studentProfile: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Password hashing, login attempts and lockout
+studentSchema.plugin(credentialsPlugin);
+
+// Ensure virtual fields are serialized
+studentSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.password;
+    delete ret.loginAttempts;
+    delete ret.lockUntil;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Student', studentSchema);
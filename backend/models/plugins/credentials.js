@@ -0,0 +1,109 @@
+const bcrypt = require('bcryptjs');
+
+// Failed logins allowed before an account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME_MS = 2 * 60 * 60 * 1000;
+
+// Password login for account schemas: hashes `password` on save, tracks
+// failed attempts and locks the account after too many. The schema must
+// define `email`, `password` and `isActive`.
+const credentialsPlugin = (schema) => {
+  schema.add({
+    lastLogin: {
+      type: Date,
+      default: null
+    },
+    loginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockUntil: {
+      type: Date,
+      default: null
+    }
+  });
+
+  // Virtual for checking if account is locked
+  schema.virtual('isLocked').get(function() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+  });
+
+  // Pre-save middleware to hash password
+  schema.pre('save', async function(next) {
+    // Only hash the password if it has been modified (or is new)
+    if (!this.isModified('password')) return next();
+
+    try {
+      // Hash password with cost of 12
+      const salt = await bcrypt.genSalt(12);
+      this.password = await bcrypt.hash(this.password, salt);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Instance method to compare password
+  schema.methods.comparePassword = async function(candidatePassword) {
+    try {
+      return await bcrypt.compare(candidatePassword, this.password);
+    } catch (error) {
+      throw new Error('Password comparison failed');
+    }
+  };
+
+  // Instance method to increment login attempts
+  schema.methods.incLoginAttempts = function() {
+    // If we have a previous lock that has expired, restart at 1
+    if (this.lockUntil && this.lockUntil < Date.now()) {
+      return this.updateOne({
+        $unset: { lockUntil: 1 },
+        $set: { loginAttempts: 1 }
+      });
+    }
+
+    const updates = { $inc: { loginAttempts: 1 } };
+
+    // Lock account after too many failed attempts
+    if (this.loginAttempts + 1 >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+      updates.$set = { lockUntil: Date.now() + LOCK_TIME_MS };
+    }
+
+    return this.updateOne(updates);
+  };
+
+  // Instance method to reset login attempts
+  schema.methods.resetLoginAttempts = function() {
+    return this.updateOne({
+      $unset: { loginAttempts: 1, lockUntil: 1 },
+      $set: { lastLogin: new Date() }
+    });
+  };
+
+  // Static method to find an account by credentials
+  schema.statics.findByCredentials = async function(email, password) {
+    const account = await this.findOne({ email, isActive: true });
+
+    if (!account) {
+      throw new Error('Invalid login credentials');
+    }
+
+    if (account.isLocked) {
+      throw new Error('Account is temporarily locked due to too many failed attempts');
+    }
+
+    const isMatch = await account.comparePassword(password);
+
+    if (!isMatch) {
+      await account.incLoginAttempts();
+      throw new Error('Invalid login credentials');
+    }
+
+    // Reset login attempts on successful login
+    await account.resetLoginAttempts();
+
+    return account;
+  };
+};
+
+module.exports = credentialsPlugin;
@@ -1,12 +1,39 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const Course = require('../models/Course');
-const { auth } = require('../middleware/auth');
+const ImportJob = require('../models/ImportJob');
+const MappingProfile = require('../models/MappingProfile');
+const CourseRevision = require('../models/CourseRevision');
+const DeadlineSubscription = require('../models/DeadlineSubscription');
+const { auth, studentAuth } = require('../middleware/auth');
 const { validate, courseSchemas } = require('../middleware/validation');
 const redisClient = require('../utils/redis');
+const { enqueueImportJob } = require('../utils/courseImport');
+const { SUPPORTED_FORMATS, detectFormat } = require('../utils/importReaders');
+const {
+  ACTIVE_COURSE_FILTER,
+  buildCourseFilter,
+  getCourseFacets,
+  parseSort,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/courseQuery');
+const { EXPORT_FORMATS, streamCourses } = require('../utils/courseExport');
+const { BASE_CURRENCY, resolveDisplayCurrency, convertTuition, convertFromBase } = require('../utils/currency');
+const { compareCourses } = require('../utils/courseComparison');
+const { findSimilarCourses } = require('../utils/courseSimilarity');
+const { checkEligibility } = require('../utils/eligibility');
+const { FUZZY_MIN_RESULTS, toFuzzyFilter, findFuzzyCourses, suggestCourses } = require('../utils/courseSearch');
+const { snapshotCourse, writeWithRevision, revisionFilterFor, rollbackCourse } = require('../utils/courseHistory');
+const { diffCourse } = require('../utils/courseDiff');
+const { getCourseFields } = require('../utils/courseMapping');
+const { DEADLINE_TYPES, findInvalidDeadlines, formatDeadline, daysUntil } = require('../utils/deadlines');
+const { CALENDAR_COURSE_FIELDS, buildCalendar } = require('../utils/calendar');
 
 const router = express.Router();
 
@@ -27,10 +54,10 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (detectFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV, JSON, NDJSON and XLSX files are allowed'), false);
     }
   },
   limits: {
@@ -38,269 +65,1237 @@ const upload = multer({
   }
 });
 
+// Find a course by uniqueId or MongoDB _id
+const findCourse = (id) => {
+  const conditions = [{ uniqueId: id }];
+  if (mongoose.Types.ObjectId.isValid(id)) conditions.push({ _id: id });
+
+  return Course.findOne({ $or: conditions });
+};
+
+// Find several courses by uniqueId or _id, in the order requested. Ids that
+// match no course are returned in `missing`.
+const findCoursesByIds = async (ids) => {
+  const objectIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const found = await Course.find({
+    $or: [{ uniqueId: { $in: ids } }, { _id: { $in: objectIds } }]
+  }).lean();
+
+  const courses = ids.map(id => found.find(course => course.uniqueId === id || String(course._id) === id));
+  return {
+    courses: courses.filter(Boolean),
+    missing: ids.filter((id, index) => !courses[index])
+  };
+};
+
+// Most courses in a combined calendar feed
+const CALENDAR_MAX_COURSES = 500;
+
+const sendCalendar = (res, filename, calendar) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(calendar);
+};
+
+// Resolve a course id (uniqueId or _id) to the keys its revisions are stored
+// under. Deleted courses are still found by uniqueId.
+const findCourseKey = async (id) => {
+  const course = await findCourse(id).select('_id uniqueId');
+  return course || { uniqueId: id };
+};
+
+// Default value of a Course field, or null when it has none
+const courseFieldDefault = (field) => {
+  const schemaType = Course.schema.path(field);
+  const value = schemaType ? schemaType.getDefault(undefined, true) : undefined;
+  return value === undefined ? null : value;
+};
+
+// Respond with a 400 for Mongoose validation and duplicate key errors.
+// Returns true when the error was handled.
+const handleCourseWriteError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      error: 'Validation error',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(400).json({
+      error: 'Course with this uniqueId already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Apply field changes to a course, save it and record the manual edit
+const saveCourseChanges = async (course, changes, admin) => {
+  changes.forEach(({ field, to }) => {
+    course.set(field, to === null ? undefined : to);
+  });
+
+  if (changes.length === 0) {
+    await course.save();
+    return course;
+  }
+
+  await writeWithRevision({
+    course: course._id,
+    uniqueId: course.uniqueId,
+    action: 'update',
+    source: 'manual',
+    admin: admin._id,
+    changes,
+    snapshot: snapshotCourse(course)
+  }, () => course.save());
+
+  // Invalidate cache after course changes
+  await redisClient.invalidateCourseCache();
+
+  return course;
+};
+
+// Find a revision that belongs to the given course
+const findRevision = async (id, revisionId) => {
+  if (!mongoose.Types.ObjectId.isValid(revisionId)) return null;
+
+  return CourseRevision.findOne({
+    _id: revisionId,
+    ...revisionFilterFor(await findCourseKey(id))
+  });
+};
+
 // @route   POST /api/courses/upload
-// @desc    Upload course data from CSV file
+// @desc    Queue an import of course data from a CSV, JSON, NDJSON or XLSX file.
+//          Pass dryRun=true to validate and preview the changes without writing,
+//          profileId to map columns with a stored mapping profile, format to
+//          override the detected file format, sheet to pick an XLSX worksheet
+//          and archiveMissing=true to archive courses of the same universities
+//          that are missing from the file.
+// @access  Private (Admin only)
+router.post('/upload', auth, upload.single('csvFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No course data file uploaded'
+      });
+    }
+
+    const format = req.body.format || req.query.format || detectFormat(req.file.originalname, req.file.mimetype);
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: `Unsupported file format. Allowed formats: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const archiveMissing = String(req.body.archiveMissing || req.query.archiveMissing) === 'true';
+    const profileId = req.body.profileId || req.query.profileId;
+
+    let profile = null;
+    if (profileId) {
+      profile = mongoose.Types.ObjectId.isValid(profileId)
+        ? await MappingProfile.findById(profileId)
+        : null;
+
+      if (!profile) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: 'Mapping profile not found'
+        });
+      }
+    }
+
+    const job = await ImportJob.create({
+      originalFilename: req.file.originalname,
+      filePath: req.file.path,
+      fileSize: req.file.size,
+      format,
+      sheet: format === 'xlsx' ? (req.body.sheet || req.query.sheet || null) : null,
+      dryRun,
+      archiveMissing,
+      mappingProfile: profile ? profile._id : null,
+      createdBy: req.admin._id
+    });
+
+    // Rows are processed in the background; progress is reported by the job
+    enqueueImportJob(job._id);
+
+    res.status(202).json({
+      message: dryRun ? 'Course data dry run queued' : 'Course data upload queued',
+      jobId: job._id,
+      dryRun,
+      mappingProfile: profile ? profile.name : null,
+      status: job.status,
+      statusUrl: `/api/courses/imports/${job._id}`
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({
+      error: 'File upload failed',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses
+// @desc    Get all courses with optional search and filters; facets=true adds
+//          facet counts for the filter sidebar. Paginates by page/limit, or by
+//          the opaque after/before cursors returned in pagination; sort takes
+//          comma-separated keys, "-" for descending (e.g. "tuition,-ranking")
+// @access  Public
+router.get('/', validate(courseSchemas.search, 'query'), async (req, res) => {
+  try {
+    const { 
+      query, 
+      currency,
+      facets,
+      sort,
+      after,
+      before,
+      limit = 50,
+      page = 1 
+    } = req.query;
+
+    // Create cache key based on query parameters. Keys are sorted so the same
+    // search in a different parameter order shares a cache entry.
+    const cacheKey = JSON.stringify(
+      Object.keys(req.query)
+        .sort()
+        .reduce((params, key) => ({ ...params, [key]: req.query[key] }), { limit, page })
+    );
+
+    // Try to get from cache first
+    const cachedData = await redisClient.getCachedCourses(cacheKey);
+    if (cachedData) {
+      return res.json({
+        ...cachedData,
+        fromCache: true
+      });
+    }
+
+    // Build search query
+    const cursorMode = Boolean(after || before);
+
+    // Text searches are ranked by score unless a sort is requested; cursor
+    // pagination always needs an explicit field order
+    let display = null;
+    let sortSpec = null;
+    let cursorValues = null;
+    try {
+      display = await resolveDisplayCurrency(currency);
+      if (sort || cursorMode || !query) {
+        sortSpec = parseSort(sort, { converted: Boolean(display) });
+      }
+      if (cursorMode) {
+        cursorValues = decodeCursor(after || before, sortSpec);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    const searchQuery = buildCourseFilter(req.query, display);
+
+    let courses;
+    const pagination = {
+      limit,
+      nextCursor: null,
+      prevCursor: null
+    };
+
+    if (cursorMode) {
+      // Fetch one extra course to tell whether another page exists
+      const forward = Boolean(after);
+      const rows = await Course.find({
+        ...searchQuery,
+        $and: [...(searchQuery.$and || []), buildCursorFilter(sortSpec, cursorValues, forward)]
+      })
+        .sort(toMongoSort(sortSpec, !forward))
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = rows.length > limit;
+      courses = rows.slice(0, limit);
+      if (!forward) courses.reverse();
+
+      if (courses.length > 0) {
+        const first = encodeCursor(courses[0], sortSpec);
+        const last = encodeCursor(courses[courses.length - 1], sortSpec);
+        pagination.nextCursor = forward && !hasMore ? null : last;
+        pagination.prevCursor = !forward && !hasMore ? null : first;
+      }
+    } else {
+      // Calculate pagination
+      const skip = (page - 1) * limit;
+
+      // Execute query
+      courses = await Course.find(searchQuery)
+        .sort(sortSpec ? toMongoSort(sortSpec) : { score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      pagination.page = page;
+
+      // Lets offset clients switch to cursors from any page
+      if (sortSpec && courses.length === limit) {
+        pagination.nextCursor = encodeCursor(courses[courses.length - 1], sortSpec);
+      }
+    }
+
+    let total = await Course.countDocuments(searchQuery);
+    let matchQuery = searchQuery;
+    let searchMode = query ? 'text' : undefined;
+
+    // Text search only matches whole words, so typos and partial words find
+    // little; fall back to trigram matching when it returns too few courses
+    if (query && !cursorMode && total < FUZZY_MIN_RESULTS) {
+      const fuzzyQuery = toFuzzyFilter(searchQuery, query);
+      const fuzzyTotal = await Course.countDocuments(fuzzyQuery);
+
+      if (fuzzyTotal > total) {
+        courses = await findFuzzyCourses(fuzzyQuery, query, {
+          sort: sort ? toMongoSort(sortSpec) : undefined,
+          skip: (page - 1) * limit,
+          limit
+        });
+        total = fuzzyTotal;
+        matchQuery = fuzzyQuery;
+        searchMode = 'fuzzy';
+        pagination.nextCursor = null;
+      }
+    }
+
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / limit);
+
+    // Tuition in the requested currency alongside the course's own
+    if (display) {
+      courses = courses.map(course => ({
+        ...course,
+        convertedTuition: convertTuition(course, display.currency, display.rates)
+      }));
+    }
+
+    const result = {
+      courses,
+      pagination,
+      searchMode,
+      currency: display ? display.currency : undefined,
+      fromCache: false
+    };
+
+    // Facet counts for the filter sidebar, against the same query and filters
+    if (String(facets) === 'true') {
+      result.facets = await getCourseFacets(matchQuery);
+    }
+
+    // Cache the result
+    await redisClient.setCachedCourses(cacheKey, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      error: 'Error fetching courses',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/suggest
+// @desc    Autocomplete course names, universities and disciplines as the user types
+// @access  Public
+router.get('/suggest', validate(courseSchemas.suggest, 'query'), async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+
+    const cacheKey = JSON.stringify({ suggest: q.trim().toLowerCase(), limit });
+    const cachedData = await redisClient.getCachedCourses(cacheKey);
+    if (cachedData) {
+      return res.json({
+        ...cachedData,
+        fromCache: true
+      });
+    }
+
+    const result = {
+      query: q,
+      suggestions: await suggestCourses(q, parseInt(limit)),
+      fromCache: false
+    };
+
+    await redisClient.setCachedCourses(cacheKey, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Suggest courses error:', error);
+    res.status(500).json({
+      error: 'Error fetching suggestions',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/compare
+// @desc    Compare 2-4 courses side by side, e.g. ?ids=a,b,c&currency=GBP
+// @access  Public
+router.get('/compare', validate(courseSchemas.compare, 'query'), async (req, res) => {
+  const ids = [...new Set(req.query.ids.split(',').map(id => id.trim()).filter(Boolean))];
+
+  if (ids.length < 2 || ids.length > 4) {
+    return res.status(400).json({
+      error: 'Provide between 2 and 4 distinct course ids to compare'
+    });
+  }
+
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.query.currency || BASE_CURRENCY);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  try {
+    const { courses, missing } = await findCoursesByIds(ids);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Course not found',
+        missing
+      });
+    }
+
+    res.json(compareCourses(courses, display));
+  } catch (error) {
+    console.error('Compare courses error:', error);
+    res.status(500).json({
+      error: 'Error comparing courses',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/eligibility
+// @desc    Check a student profile against the admission requirements of
+//          the given courseIds, or of the courses matching `filters`
+// @access  Public
+router.post('/eligibility', validate(courseSchemas.eligibility), async (req, res) => {
+  const { profile, courseIds, filters = {}, eligibleOnly = false, limit = 50 } = req.body;
+
+  let display;
+  try {
+    display = await resolveDisplayCurrency(profile.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  try {
+    let courses;
+    let notFound = [];
+
+    if (courseIds) {
+      ({ courses, missing: notFound } = await findCoursesByIds([...new Set(courseIds)]));
+    } else {
+      courses = await Course.find(buildCourseFilter(filters, display))
+        .sort({ courseName: 1, _id: 1 })
+        .limit(limit)
+        .lean();
+    }
+
+    const results = courses.map(course => ({
+      course: {
+        id: course._id,
+        uniqueId: course.uniqueId,
+        courseName: course.courseName,
+        universityName: course.universityName,
+        courseLevel: course.courseLevel
+      },
+      ...checkEligibility(course, profile, display)
+    }));
+
+    res.json({
+      results: eligibleOnly ? results.filter(result => result.eligible) : results,
+      summary: {
+        checked: results.length,
+        eligible: results.filter(result => result.eligible).length
+      },
+      notFound
+    });
+  } catch (error) {
+    console.error('Eligibility check error:', error);
+    res.status(500).json({
+      error: 'Error checking eligibility',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/export
+// @desc    Export courses matching the listing filters as CSV, JSON or NDJSON
+// @access  Private (Admin only)
+router.get('/export', auth, validate(courseSchemas.export, 'query'), async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `Unsupported export format. Allowed formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.query.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  try {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `courses-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await streamCourses(res, buildCourseFilter(req.query, display), format);
+  } catch (error) {
+    console.error('Export courses error:', error);
+
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Error exporting courses',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/deadlines/upcoming
+// @desc    Application deadlines in the next `days` (default 30), soonest
+//          first; `type` keeps only domestic or international deadlines
+// @access  Public
+router.get('/deadlines/upcoming', validate(courseSchemas.upcomingDeadlines, 'query'), async (req, res) => {
+  try {
+    const { days = 30, type, courseLevel, disciplineMajor, universityCode, limit = 20 } = req.query;
+
+    const now = new Date();
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const to = new Date(from.getTime() + parseInt(days) * 24 * 60 * 60 * 1000);
+
+    // The window moves daily, so the start date is part of the key
+    const cacheKey = JSON.stringify({ upcomingDeadlines: req.query, from: formatDeadline(from) });
+    const cachedData = await redisClient.getCachedCourses(cacheKey);
+    if (cachedData) {
+      return res.json({
+        ...cachedData,
+        fromCache: true
+      });
+    }
+
+    const filter = { ...ACTIVE_COURSE_FILTER };
+    if (courseLevel) filter.courseLevel = courseLevel;
+    if (disciplineMajor) filter.disciplineMajor = disciplineMajor;
+    if (universityCode) filter.universityCode = universityCode;
+
+    // The soonest `limit` deadlines of each type, merged
+    const types = type ? [type] : Object.keys(DEADLINE_TYPES);
+    const lists = await Promise.all(types.map(async (deadlineType) => {
+      const { field, dateField } = DEADLINE_TYPES[deadlineType];
+      const courses = await Course.find({ ...filter, [dateField]: { $gte: from, $lte: to } })
+        .select(`uniqueId courseName universityName courseLevel disciplineMajor attendanceType courseUrl ${field} ${dateField}`)
+        .sort({ [dateField]: 1 })
+        .limit(parseInt(limit))
+        .lean();
+
+      return courses.map(course => ({
+        type: deadlineType,
+        deadline: formatDeadline(course[dateField]),
+        deadlineText: course[field],
+        daysLeft: daysUntil(course[dateField], now),
+        course: {
+          id: course.uniqueId,
+          courseName: course.courseName,
+          universityName: course.universityName,
+          courseLevel: course.courseLevel,
+          disciplineMajor: course.disciplineMajor,
+          attendanceType: course.attendanceType,
+          courseUrl: course.courseUrl
+        }
+      }));
+    }));
+
+    const result = {
+      from: formatDeadline(from),
+      to: formatDeadline(to),
+      deadlines: lists.flat()
+        .sort((a, b) => a.deadline.localeCompare(b.deadline) || a.course.courseName.localeCompare(b.course.courseName))
+        .slice(0, parseInt(limit)),
+      fromCache: false
+    };
+
+    await redisClient.setCachedCourses(cacheKey, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Upcoming deadlines error:', error);
+    res.status(500).json({
+      error: 'Error fetching upcoming deadlines',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/deadlines.ics
+// @desc    iCalendar feed of the deadlines and intakes of several courses:
+//          those in `ids` (comma separated uniqueIds or _ids), or those
+//          matching the listing filters, so a saved search can be subscribed
+//          to by its URL
+// @access  Public
+router.get('/deadlines.ics', validate(courseSchemas.calendarFeed, 'query'), async (req, res) => {
+  const { ids, type, name } = req.query;
+
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.query.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  try {
+    let courses;
+    if (ids) {
+      const requested = [...new Set(ids.split(',').map(id => id.trim()).filter(Boolean))];
+      if (requested.length === 0 || requested.length > CALENDAR_MAX_COURSES) {
+        return res.status(400).json({
+          error: `Provide between 1 and ${CALENDAR_MAX_COURSES} course ids`
+        });
+      }
+
+      // Courses deleted since the feed was subscribed to are left out rather
+      // than breaking the whole feed
+      ({ courses } = await findCoursesByIds(requested));
+    } else {
+      courses = await Course.find(buildCourseFilter(req.query, display))
+        .select(CALENDAR_COURSE_FIELDS.join(' '))
+        .sort({ uniqueId: 1 })
+        .limit(CALENDAR_MAX_COURSES)
+        .lean();
+    }
+
+    sendCalendar(res, 'course-deadlines.ics', buildCalendar(courses, {
+      name: name || 'Course deadlines',
+      types: type ? [type] : undefined
+    }));
+  } catch (error) {
+    console.error('Deadline calendar error:', error);
+    res.status(500).json({
+      error: 'Error building deadline calendar',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/deadlines/invalid
+// @desc    List active courses with deadlines that cannot be read as dates
+// @access  Private (Admin only)
+router.get('/deadlines/invalid', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+
+    const filter = {
+      ...ACTIVE_COURSE_FILTER,
+      $or: Object.values(DEADLINE_TYPES).map(({ field, dateField }) => ({
+        [dateField]: null,
+        [field]: { $nin: [null, ''] }
+      }))
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(filter)
+      .select(`uniqueId courseName universityName ${Object.values(DEADLINE_TYPES).map(({ field }) => field).join(' ')}`)
+      .sort({ universityName: 1, courseName: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Course.countDocuments(filter);
+
+    res.json({
+      courses: courses.map(course => ({
+        id: course.uniqueId,
+        courseName: course.courseName,
+        universityName: course.universityName,
+        invalidDeadlines: findInvalidDeadlines(course)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Invalid deadlines error:', error);
+    res.status(500).json({
+      error: 'Error fetching invalid deadlines',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/archived
+// @desc    List archived and discontinued courses
+// @access  Private (Admin only)
+router.get('/archived', auth, async (req, res) => {
+  try {
+    const { universityCode, limit = 50, page = 1 } = req.query;
+
+    const filter = { status: { $in: ['archived', 'discontinued'] } };
+    if (universityCode) filter.universityCode = universityCode;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(filter)
+      .sort({ archivedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Course.countDocuments(filter);
+
+    res.json({
+      courses,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get archived courses error:', error);
+    res.status(500).json({
+      error: 'Error fetching archived courses',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id
+// @desc    Get course by ID
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    res.json({
+      course,
+      archived: course.isArchived
+    });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      error: 'Error fetching course',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/deadlines.ics
+// @desc    iCalendar feed of a course's application deadlines and intake
+//          starts (`type` keeps only domestic or international deadlines)
+// @access  Public
+router.get('/:id/deadlines.ics', validate(courseSchemas.calendar, 'query'), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id).select(CALENDAR_COURSE_FIELDS.join(' ')).lean();
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const { type } = req.query;
+    const filename = `${String(course.uniqueId).replace(/[^\w.-]+/g, '-')}-deadlines.ics`;
+    sendCalendar(res, filename, buildCalendar([course], {
+      name: `${course.courseName} (${course.universityName})`,
+      types: type ? [type] : undefined
+    }));
+  } catch (error) {
+    console.error('Course calendar error:', error);
+    res.status(500).json({
+      error: 'Error building course calendar',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/similar
+// @desc    Get the courses most similar to a course (`limit`, default 5)
+// @access  Public
+router.get('/:id/similar', validate(courseSchemas.similar, 'query'), async (req, res) => {
+  try {
+    const { limit = 5 } = req.query;
+
+    // Cached with the course listings, so catalog changes clear it
+    const cacheKey = JSON.stringify({ similar: req.params.id, limit });
+    const cachedData = await redisClient.getCachedCourses(cacheKey);
+    if (cachedData) {
+      return res.json({
+        ...cachedData,
+        fromCache: true
+      });
+    }
+
+    const course = await findCourse(req.params.id).lean();
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const result = {
+      course: { id: course._id, uniqueId: course.uniqueId, courseName: course.courseName },
+      similarCourses: await findSimilarCourses(course, parseInt(limit)),
+      fromCache: false
+    };
+
+    await redisClient.setCachedCourses(cacheKey, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Similar courses error:', error);
+    res.status(500).json({
+      error: 'Error fetching similar courses',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/deadline-subscription
+// @desc    Subscribe to reminders before the course's application deadline
+//          (`deadlineType` domestic or international, the default)
+// @access  Private (Student)
+router.post('/:id/deadline-subscription', studentAuth, validate(courseSchemas.deadlineSubscription), async (req, res) => {
+  try {
+    const { deadlineType = 'international' } = req.body;
+    const course = await findCourse(req.params.id).lean();
+
+    if (!course || course.status === 'archived' || course.status === 'discontinued') {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const subscription = await DeadlineSubscription.findOneAndUpdate(
+      { student: req.student._id, courseId: course.uniqueId },
+      { $set: { deadlineType } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const { field, dateField } = DEADLINE_TYPES[deadlineType];
+    res.status(201).json({
+      message: 'Subscribed to deadline reminders',
+      subscription,
+      deadline: {
+        type: deadlineType,
+        date: formatDeadline(course[dateField]),
+        text: course[field]
+      },
+      // Deadlines that are not dates cannot be reminded of
+      warning: course[dateField] ? undefined : 'This deadline is not a recognised date, so no reminders will be sent until it is corrected'
+    });
+  } catch (error) {
+    console.error('Deadline subscription error:', error);
+    res.status(500).json({
+      error: 'Error subscribing to deadline',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/deadline-subscription
+// @desc    Unsubscribe from the course's deadline reminders
+// @access  Private (Student)
+router.delete('/:id/deadline-subscription', studentAuth, async (req, res) => {
+  try {
+    const { uniqueId } = await findCourseKey(req.params.id);
+    const result = await DeadlineSubscription.deleteOne({ student: req.student._id, courseId: uniqueId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        error: 'Deadline subscription not found'
+      });
+    }
+
+    res.json({
+      message: 'Unsubscribed from deadline reminders'
+    });
+  } catch (error) {
+    console.error('Deadline unsubscribe error:', error);
+    res.status(500).json({
+      error: 'Error unsubscribing from deadline',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses
+// @desc    Create a course
 // @access  Private (Admin only)
-router.post('/upload', auth, upload.single('csvFile'), async (req, res) => {
+router.post('/', auth, validate(courseSchemas.create), async (req, res) => {
   try {
-    if (!req.file) {
+    const existingCourse = await Course.findOne({ uniqueId: req.body.uniqueId });
+
+    if (existingCourse) {
       return res.status(400).json({
-        error: 'No CSV file uploaded'
+        error: 'Course with this uniqueId already exists'
       });
     }
 
-    const results = [];
-    const errors = [];
-    let processedCount = 0;
-    let successCount = 0;
+    const course = new Course(req.body);
 
-    // Read and parse CSV file
-    fs.createReadStream(req.file.path)
-      .pipe(csv())
-      .on('data', (data) => {
-        results.push(data);
-      })
-      .on('end', async () => {
-        try {
-          // Process each row
-          for (const row of results) {
-            processedCount++;
-            
-            try {
-              // Transform CSV data to match our schema
-              const courseData = {
-                uniqueId: row.uniqueId || row.course_id || `course_${Date.now()}_${processedCount}`,
-                courseName: row.courseName || row.title || row.name,
-                courseCode: row.courseCode || row.code,
-                universityCode: row.universityCode || row.university_code,
-                universityName: row.universityName || row.university_name,
-                departmentSchool: row.departmentSchool || row.department || row.school,
-                disciplineMajor: row.disciplineMajor || row.discipline || row.major,
-                specialization: row.specialization,
-                courseLevel: row.courseLevel || row.level || 'Undergraduate',
-                overviewDescription: row.overviewDescription || row.description,
-                summary: row.summary || row.overviewDescription || row.description,
-                prerequisites: row.prerequisites ? row.prerequisites.split(';').map(p => p.trim()) : [],
-                learningOutcomes: row.learningOutcomes ? row.learningOutcomes.split(';').map(l => l.trim()) : [],
-                teachingMethodology: row.teachingMethodology || row.methodology || 'Not specified',
-                assessmentMethods: row.assessmentMethods ? row.assessmentMethods.split(';').map(a => a.trim()) : [],
-                credits: parseInt(row.credits) || 0,
-                durationMonths: parseInt(row.durationMonths) || parseInt(row.duration) || 12,
-                languageOfInstruction: row.languageOfInstruction || row.language || 'English',
-                syllabusUrl: row.syllabusUrl || row.syllabus_url,
-                keywords: row.keywords ? row.keywords.split(',').map(k => k.trim()) : [],
-                professorName: row.professorName || row.instructor,
-                professorEmail: row.professorEmail || row.instructor_email,
-                officeLocation: row.officeLocation,
-                openForIntake: row.openForIntake,
-                admissionOpenYears: row.admissionOpenYears || '2024',
-                attendanceType: row.attendanceType || row.attendance || 'Full-time',
-                firstYearTuitionFee: parseFloat(row.firstYearTuitionFee) || parseFloat(row.tuition) || 0,
-                totalTuitionFee: parseFloat(row.totalTuitionFee) || parseFloat(row.tuition) || 0,
-                tuitionFeeCurrency: row.tuitionFeeCurrency || row.currency || 'USD',
-                applicationFeeAmount: parseFloat(row.applicationFeeAmount) || 0,
-                applicationFeeCurrency: row.applicationFeeCurrency || 'USD',
-                applicationFeeWaived: row.applicationFeeWaived === 'true',
-                requiredApplicationMaterials: row.requiredApplicationMaterials || 'Standard application materials',
-                twelfthGradeRequirement: row.twelfthGradeRequirement,
-                undergraduateDegreeRequirement: row.undergraduateDegreeRequirement,
-                minimumIELTSScore: row.minimumIELTSScore ? parseFloat(row.minimumIELTSScore) : undefined,
-                minimumTOEFLScore: row.minimumTOEFLScore ? parseFloat(row.minimumTOEFLScore) : undefined,
-                minimumPTEScore: row.minimumPTEScore ? parseFloat(row.minimumPTEScore) : undefined,
-                minimumDuolingoScore: row.minimumDuolingoScore ? parseFloat(row.minimumDuolingoScore) : undefined,
-                minimumCambridgeEnglishScore: row.minimumCambridgeEnglishScore,
-                otherEnglishTestsAccepted: row.otherEnglishTestsAccepted,
-                greRequired: row.greRequired === 'true',
-                greScore: row.greScore,
-                gmatRequired: row.gmatRequired === 'true',
-                gmatScore: row.gmatScore,
-                satRequired: row.satRequired === 'true',
-                satScore: row.satScore,
-                actRequired: row.actRequired === 'true',
-                actScore: row.actScore,
-                waiverOptions: row.waiverOptions,
-                partnerCourse: row.partnerCourse === 'true',
-                ftRanking2024: row.ftRanking2024 ? parseInt(row.ftRanking2024) : undefined,
-                acceptanceRate: row.acceptanceRate ? parseFloat(row.acceptanceRate) : undefined,
-                domesticApplicationDeadline: row.domesticApplicationDeadline || '2024-12-31',
-                internationalApplicationDeadline: row.internationalApplicationDeadline || '2024-12-31',
-                courseUrl: row.courseUrl || row.url || '#'
-              };
-
-              // Check if course already exists
-              const existingCourse = await Course.findOne({ uniqueId: courseData.uniqueId });
-              
-              if (existingCourse) {
-                // Update existing course
-                await Course.findOneAndUpdate(
-                  { uniqueId: courseData.uniqueId },
-                  courseData,
-                  { new: true, runValidators: true }
-                );
-              } else {
-                // Create new course
-                const course = new Course(courseData);
-                await course.save();
-              }
-              
-              successCount++;
-            } catch (error) {
-              errors.push({
-                row: processedCount,
-                error: error.message,
-                data: row
-              });
-            }
-          }
-
-          // Invalidate cache after upload
-          await redisClient.invalidateCourseCache();
-
-          // Clean up uploaded file
-          fs.unlinkSync(req.file.path);
-
-          res.json({
-            message: 'Course data upload completed',
-            summary: {
-              totalProcessed: processedCount,
-              successful: successCount,
-              errors: errors.length
-            },
-            errors: errors.slice(0, 10) // Return first 10 errors
-          });
-        } catch (error) {
-          console.error('CSV processing error:', error);
-          res.status(500).json({
-            error: 'Error processing CSV file',
-            details: error.message
-          });
-        }
+    const snapshot = snapshotCourse(course);
+    await writeWithRevision({
+      course: course._id,
+      uniqueId: course.uniqueId,
+      action: 'create',
+      source: 'manual',
+      admin: req.admin._id,
+      changes: diffCourse({}, snapshot),
+      snapshot
+    }, () => course.save());
+
+    // Invalidate cache after course changes
+    await redisClient.invalidateCourseCache();
+
+    res.status(201).json({
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    if (handleCourseWriteError(error, res)) return;
+
+    console.error('Create course error:', error);
+    res.status(500).json({
+      error: 'Error creating course',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id
+// @desc    Replace a course; fields left out of the body are cleared or
+//          reset to their defaults
+// @access  Private (Admin only)
+router.put('/:id', auth, validate(courseSchemas.replace), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
       });
+    }
+
+    // Fields left out are cleared, or reset to the model default (such as
+    // the 'USD' fee currencies) where there is one
+    const target = {};
+    getCourseFields().forEach((field) => {
+      target[field] = req.body[field] === undefined ? courseFieldDefault(field) : req.body[field];
+    });
+    target.uniqueId = req.body.uniqueId || course.uniqueId;
+
+    const changes = diffCourse(snapshotCourse(course), target);
+    await saveCourseChanges(course, changes, req.admin);
+
+    res.json({
+      message: 'Course updated successfully',
+      changes,
+      course
+    });
   } catch (error) {
-    console.error('Upload error:', error);
+    if (handleCourseWriteError(error, res)) return;
+
+    console.error('Replace course error:', error);
     res.status(500).json({
-      error: 'File upload failed',
+      error: 'Error updating course',
       details: error.message
     });
   }
 });
 
-// @route   GET /api/courses
-// @desc    Get all courses with optional search and filters
-// @access  Public
-router.get('/', async (req, res) => {
+// @route   PATCH /api/courses/:id
+// @desc    Update selected fields of a course
+// @access  Private (Admin only)
+router.patch('/:id', auth, validate(courseSchemas.update), async (req, res) => {
   try {
-    const { 
-      query, 
-      universityCode, 
-      courseLevel, 
-      disciplineMajor, 
-      attendanceType, 
-      minTuition, 
-      maxTuition, 
-      limit = 50,
-      page = 1 
-    } = req.query;
+    const course = await findCourse(req.params.id);
 
-    // Create cache key based on query parameters
-    const cacheKey = JSON.stringify({
-      query,
-      universityCode,
-      courseLevel,
-      disciplineMajor,
-      attendanceType,
-      minTuition,
-      maxTuition,
-      limit,
-      page
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const changes = diffCourse(snapshotCourse(course), req.body);
+    await saveCourseChanges(course, changes, req.admin);
+
+    res.json({
+      message: 'Course updated successfully',
+      changes,
+      course
     });
+  } catch (error) {
+    if (handleCourseWriteError(error, res)) return;
 
-    // Try to get from cache first
-    const cachedData = await redisClient.getCachedCourses(cacheKey);
-    if (cachedData) {
-      return res.json({
-        ...cachedData,
-        fromCache: true
+    console.error('Update course error:', error);
+    res.status(500).json({
+      error: 'Error updating course',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id
+// @desc    Delete a course
+// @access  Private (Admin only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
       });
     }
 
-    // Build search query
-    const searchQuery = {};
-    
-    if (query) {
-      searchQuery.$text = { $search: query };
-    }
-    
-    if (universityCode) searchQuery.universityCode = universityCode;
-    if (courseLevel) searchQuery.courseLevel = courseLevel;
-    if (disciplineMajor) searchQuery.disciplineMajor = disciplineMajor;
-    if (attendanceType) searchQuery.attendanceType = attendanceType;
-    
-    if (minTuition !== undefined || maxTuition !== undefined) {
-      searchQuery.firstYearTuitionFee = {};
-      if (minTuition !== undefined) searchQuery.firstYearTuitionFee.$gte = parseFloat(minTuition);
-      if (maxTuition !== undefined) searchQuery.firstYearTuitionFee.$lte = parseFloat(maxTuition);
-    }
-
-    // Calculate pagination
+    await writeWithRevision({
+      course: course._id,
+      uniqueId: course.uniqueId,
+      action: 'delete',
+      source: 'manual',
+      admin: req.admin._id,
+      changes: [],
+      snapshot: snapshotCourse(course)
+    }, () => course.deleteOne());
+
+    // Invalidate cache after course changes
+    await redisClient.invalidateCourseCache();
+
+    res.json({
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      error: 'Error deleting course',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/archive
+// @desc    Archive or discontinue a course, hiding it from listings
+// @access  Private (Admin only)
+router.post('/:id/archive', auth, validate(courseSchemas.archive), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const { status = 'archived', reason } = req.body;
+    const changes = diffCourse(snapshotCourse(course), {
+      status,
+      archivedAt: course.isArchived ? course.archivedAt : new Date(),
+      archiveReason: reason || null
+    });
+    await saveCourseChanges(course, changes, req.admin);
+
+    res.json({
+      message: 'Course archived successfully',
+      course
+    });
+  } catch (error) {
+    if (handleCourseWriteError(error, res)) return;
+
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      error: 'Error archiving course',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/restore
+// @desc    Restore an archived course to the listings
+// @access  Private (Admin only)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const course = await findCourse(req.params.id);
+
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    if (!course.isArchived) {
+      return res.status(400).json({
+        error: 'Course is not archived'
+      });
+    }
+
+    const changes = diffCourse(snapshotCourse(course), {
+      status: 'active',
+      archivedAt: null,
+      archiveReason: null
+    });
+    await saveCourseChanges(course, changes, req.admin);
+
+    res.json({
+      message: 'Course restored successfully',
+      course
+    });
+  } catch (error) {
+    if (handleCourseWriteError(error, res)) return;
+
+    console.error('Restore course error:', error);
+    res.status(500).json({
+      error: 'Error restoring course',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/history
+// @desc    List the revisions of a course, newest first
+// @access  Private (Admin only)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const filter = revisionFilterFor(await findCourseKey(req.params.id));
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Execute query
-    const courses = await Course.find(searchQuery)
-      .sort(query ? { score: { $meta: 'textScore' } } : { courseName: 1 })
+
+    const revisions = await CourseRevision.find(filter)
+      .select('-snapshot')
+      .sort({ _id: -1 })
       .skip(skip)
       .limit(parseInt(limit))
-      .lean();
+      .populate('admin', 'username email');
 
-    const total = await Course.countDocuments(searchQuery);
+    const total = await CourseRevision.countDocuments(filter);
 
-    const result = {
-      courses,
+    res.json({
+      revisions,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         total,
         pages: Math.ceil(total / parseInt(limit))
-      },
-      fromCache: false
-    };
+      }
+    });
+  } catch (error) {
+    console.error('Get course history error:', error);
+    res.status(500).json({
+      error: 'Error fetching course history',
+      details: error.message
+    });
+  }
+});
 
-    // Cache the result
-    await redisClient.setCachedCourses(cacheKey, result);
+// @route   GET /api/courses/:id/history/:revisionId
+// @desc    Get a course as it stood at a revision
+// @access  Private (Admin only)
+router.get('/:id/history/:revisionId', auth, async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, req.params.revisionId);
 
-    res.json(result);
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    await revision.populate('admin', 'username email');
+
+    res.json({ revision });
   } catch (error) {
-    console.error('Get courses error:', error);
+    console.error('Get course revision error:', error);
     res.status(500).json({
-      error: 'Error fetching courses',
+      error: 'Error fetching course revision',
       details: error.message
     });
   }
 });
 
-// @route   GET /api/courses/:id
-// @desc    Get course by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @route   POST /api/courses/:id/rollback
+// @desc    Roll a course back to the state recorded by a revision
+// @access  Private (Admin only)
+router.post('/:id/rollback', auth, async (req, res) => {
   try {
-    const course = await Course.findOne({ 
-      $or: [
-        { uniqueId: req.params.id },
-        { _id: req.params.id }
-      ]
-    });
+    const { revisionId } = req.body;
 
-    if (!course) {
+    if (!revisionId) {
+      return res.status(400).json({
+        error: 'revisionId is required'
+      });
+    }
+
+    const revision = await findRevision(req.params.id, revisionId);
+
+    if (!revision) {
       return res.status(404).json({
-        error: 'Course not found'
+        error: 'Revision not found'
+      });
+    }
+
+    if (revision.action === 'delete') {
+      return res.status(400).json({
+        error: 'Cannot roll back to a delete revision; choose an earlier revision'
       });
     }
 
-    res.json({ course });
+    const course = await rollbackCourse(revision, req.admin);
+
+    res.json({
+      message: 'Course rolled back successfully',
+      course
+    });
   } catch (error) {
-    console.error('Get course error:', error);
+    console.error('Rollback course error:', error);
     res.status(500).json({
-      error: 'Error fetching course',
+      error: 'Error rolling back course',
       details: error.message
     });
   }
@@ -310,9 +1305,21 @@ router.get('/:id', async (req, res) => {
 // @desc    Get course statistics
 // @access  Public
 router.get('/stats/summary', async (req, res) => {
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.query.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
   try {
-    // Try to get from cache
-    const cachedStats = await redisClient.get('course_stats');
+    // Converted stats are cached with the course listings, so rate changes
+    // clear them
+    const cachedStats = display
+      ? await redisClient.getCachedCourses(JSON.stringify({ stats: display.currency }))
+      : await redisClient.get('course_stats');
     if (cachedStats) {
       return res.json({
         ...cachedStats,
@@ -320,18 +1327,29 @@ router.get('/stats/summary', async (req, res) => {
       });
     }
 
+    const tuitionField = display ? '$baseTuitionFee' : '$firstYearTuitionFee';
     const stats = await Course.aggregate([
       {
         $group: {
           _id: null,
           totalCourses: { $sum: 1 },
-          avgTuition: { $avg: '$firstYearTuitionFee' },
-          minTuition: { $min: '$firstYearTuitionFee' },
-          maxTuition: { $max: '$firstYearTuitionFee' }
+          avgTuition: { $avg: tuitionField },
+          minTuition: { $min: tuitionField },
+          maxTuition: { $max: tuitionField }
         }
       }
     ]);
 
+    // Tuition figures in the requested currency; courses whose currency has
+    // no rate are left out of them
+    const summary = stats[0] || {};
+    if (display && stats[0]) {
+      ['avgTuition', 'minTuition', 'maxTuition'].forEach((key) => {
+        summary[key] = convertFromBase(summary[key], display.currency, display.rates);
+      });
+      summary.currency = display.currency;
+    }
+
     const levelStats = await Course.aggregate([
       {
         $group: {
@@ -367,7 +1385,7 @@ router.get('/stats/summary', async (req, res) => {
     ]);
 
     const result = {
-      summary: stats[0] || {},
+      summary,
       byLevel: levelStats,
       byAttendance: attendanceStats,
       topUniversities: universityStats,
@@ -375,7 +1393,11 @@ router.get('/stats/summary', async (req, res) => {
     };
 
     // Cache for 1 hour
-    await redisClient.set('course_stats', result, 3600);
+    if (display) {
+      await redisClient.setCachedCourses(JSON.stringify({ stats: display.currency }), result, 3600);
+    } else {
+      await redisClient.set('course_stats', result, 3600);
+    }
 
     res.json(result);
   } catch (error) {
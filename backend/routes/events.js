@@ -0,0 +1,83 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Course = require('../models/Course');
+const { auth, optionalStudentAuth } = require('../middleware/auth');
+const { validate, eventSchemas } = require('../middleware/validation');
+const { ACTIVE_COURSE_FILTER } = require('../utils/courseQuery');
+const { recordVisitorEvent, runEngagementRollup } = require('../utils/engagement');
+
+const router = express.Router();
+
+// Who sent an event: the signed-in student, or else the IP address and the
+// client's session id
+const visitorKey = req => (req.student ? `student:${req.student._id}` : `ip:${req.ip}:${req.body.sessionId || ''}`);
+
+// Events each student or IP address may send per minute
+const eventLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.EVENT_RATE_LIMIT_PER_MINUTE) || 30,
+  keyGenerator: req => (req.student ? `student:${req.student._id}` : req.ip),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many events, please try again later.' }
+});
+
+// @route   POST /api/events
+// @desc    Record an anonymous course event: a `view`, a recommendation
+//          `click`, `thumbsUp` or `thumbsDown`, or a `save`. Recommendation
+//          events should pass the `topics` they were recommended for, and
+//          anonymous clients a `sessionId`. Repeats of an event by the same
+//          visitor within EVENT_DEDUPE_MINUTES are counted once.
+// @access  Public (rate limited per student or IP address)
+router.post('/', optionalStudentAuth, eventLimiter, validate(eventSchemas.record), async (req, res) => {
+  try {
+    const { type, courseId, topics } = req.body;
+
+    const course = await Course.exists({ ...ACTIVE_COURSE_FILTER, uniqueId: courseId });
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    const recorded = await recordVisitorEvent({ type, courseId, topics }, visitorKey(req));
+    if (!recorded) {
+      return res.json({
+        message: 'Event already recorded',
+        duplicate: true
+      });
+    }
+
+    res.status(201).json({
+      message: 'Event recorded'
+    });
+  } catch (error) {
+    console.error('Record event error:', error);
+    res.status(500).json({
+      error: 'Error recording event',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/events/rollup
+// @desc    Run the nightly engagement rollup now
+// @access  Private (Admin only)
+router.post('/rollup', auth, async (req, res) => {
+  try {
+    const result = await runEngagementRollup();
+
+    res.json({
+      message: 'Engagement rollup completed',
+      ...result
+    });
+  } catch (error) {
+    console.error('Engagement rollup error:', error);
+    res.status(500).json({
+      error: 'Error running engagement rollup',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const Course = require('../models/Course');
+const ExchangeRate = require('../models/ExchangeRate');
+const { auth } = require('../middleware/auth');
+const { validate, exchangeRateSchemas } = require('../middleware/validation');
+const redisClient = require('../utils/redis');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  getExchangeRates,
+  clearExchangeRateCache
+} = require('../utils/currency');
+
+const router = express.Router();
+
+// Recompute every course's base currency tuition with the new rates and drop
+// cached listings. Returns the number of courses updated.
+const applyRateChanges = async () => {
+  clearExchangeRateCache();
+  const coursesUpdated = await Course.refreshBaseTuition(await getExchangeRates());
+  await redisClient.invalidateCourseCache();
+  return coursesUpdated;
+};
+
+const upsertRate = (currency, rate, admin) => {
+  return ExchangeRate.findOneAndUpdate(
+    { currency },
+    { $set: { rate, updatedBy: admin._id } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// @route   GET /api/exchange-rates
+// @desc    List exchange rates to the base currency
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.json({
+      baseCurrency: BASE_CURRENCY,
+      rates
+    });
+  } catch (error) {
+    console.error('List exchange rates error:', error);
+    res.status(500).json({
+      error: 'Error fetching exchange rates',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/exchange-rates
+// @desc    Set several exchange rates at once, e.g. { rates: { GBP: 1.27, EUR: 1.08 } }
+// @access  Private (Admin only)
+router.put('/', auth, validate(exchangeRateSchemas.bulk), async (req, res) => {
+  try {
+    const entries = Object.entries(req.body.rates)
+      .map(([currency, rate]) => [currency.toUpperCase(), rate]);
+
+    if (entries.some(([currency]) => currency === BASE_CURRENCY)) {
+      return res.status(400).json({
+        error: `The rate of the base currency ${BASE_CURRENCY} is always 1`
+      });
+    }
+
+    const rates = [];
+    for (const [currency, rate] of entries) {
+      rates.push(await upsertRate(currency, rate, req.admin));
+    }
+
+    const coursesUpdated = await applyRateChanges();
+
+    res.json({
+      message: 'Exchange rates updated successfully',
+      baseCurrency: BASE_CURRENCY,
+      rates,
+      coursesUpdated
+    });
+  } catch (error) {
+    console.error('Update exchange rates error:', error);
+    res.status(500).json({
+      error: 'Error updating exchange rates',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Set the exchange rate of one currency
+// @access  Private (Admin only)
+router.put('/:currency', auth, validate(exchangeRateSchemas.upsert), async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+
+    if (!currency) {
+      return res.status(400).json({
+        error: 'Currency must be a three-letter ISO 4217 code'
+      });
+    }
+
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({
+        error: `The rate of the base currency ${BASE_CURRENCY} is always 1`
+      });
+    }
+
+    const rate = await upsertRate(currency, req.body.rate, req.admin);
+    const coursesUpdated = await applyRateChanges();
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      baseCurrency: BASE_CURRENCY,
+      rate,
+      coursesUpdated
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      error: 'Error updating exchange rate',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:currency
+// @desc    Remove an exchange rate; courses in that currency lose their converted tuition
+// @access  Private (Admin only)
+router.delete('/:currency', auth, async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({
+      currency: normalizeCurrency(req.params.currency)
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        error: 'Exchange rate not found'
+      });
+    }
+
+    const coursesUpdated = await applyRateChanges();
+
+    res.json({
+      message: 'Exchange rate deleted successfully',
+      coursesUpdated
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      error: 'Error deleting exchange rate',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const { auth } = require('../middleware/auth');
+const { rollbackImportJob } = require('../utils/courseHistory');
+
+const router = express.Router();
+
+// Rollback conflicts listed in the response
+const MAX_REPORTED_CONFLICTS = 1000;
+
+// @route   GET /api/courses/imports
+// @desc    List course import jobs, newest first
+// @access  Private (Admin only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const jobs = await ImportJob.find(filter)
+      .select('-rowErrors -rowWarnings -preview')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ImportJob.countDocuments(filter);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('List import jobs error:', error);
+    res.status(500).json({
+      error: 'Error fetching import jobs',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/imports/:jobId
+// @desc    Get status, counts, row errors and warnings, and dry-run preview of an import job
+// @access  Private (Admin only)
+router.get('/:jobId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({
+        error: 'Import job not found'
+      });
+    }
+
+    const job = await ImportJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import job not found'
+      });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      error: 'Error fetching import job',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/imports/:jobId/rollback
+// @desc    Undo every course change made by an import job. Courses and fields
+//          edited after the import are left alone and listed in `conflicts`
+// @access  Private (Admin only)
+router.post('/:jobId/rollback', auth, async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+      ? await ImportJob.findById(req.params.jobId)
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import job not found'
+      });
+    }
+
+    if (job.dryRun) {
+      return res.status(400).json({
+        error: 'Dry-run imports made no changes to roll back'
+      });
+    }
+
+    if (['queued', 'processing'].includes(job.status)) {
+      return res.status(409).json({
+        error: 'Import job is still running'
+      });
+    }
+
+    if (job.rolledBackAt) {
+      return res.status(409).json({
+        error: 'Import job has already been rolled back'
+      });
+    }
+
+    const { reverted, conflicts } = await rollbackImportJob(job, req.admin);
+
+    job.rolledBackAt = new Date();
+    job.rolledBackBy = req.admin._id;
+    job.rolledBackChanges = reverted;
+    job.rollbackConflicts = conflicts.length;
+    await job.save();
+
+    res.json({
+      message: conflicts.length > 0
+        ? 'Import job rolled back; changes made after the import were kept'
+        : 'Import job rolled back successfully',
+      reverted,
+      conflicts: conflicts.slice(0, MAX_REPORTED_CONFLICTS),
+      conflictsTruncated: conflicts.length > MAX_REPORTED_CONFLICTS,
+      job
+    });
+  } catch (error) {
+    console.error('Rollback import job error:', error);
+    res.status(500).json({
+      error: 'Error rolling back import job',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
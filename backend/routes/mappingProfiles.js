@@ -0,0 +1,169 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const MappingProfile = require('../models/MappingProfile');
+const { auth } = require('../middleware/auth');
+const { validate, mappingProfileSchemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Look up a profile by id, treating malformed ids as not found
+const findProfile = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return MappingProfile.findById(id);
+};
+
+// @route   GET /api/courses/mapping-profiles
+// @desc    List CSV column mapping profiles
+// @access  Private (Admin only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const profiles = await MappingProfile.find().sort({ name: 1 });
+
+    res.json({ profiles });
+  } catch (error) {
+    console.error('List mapping profiles error:', error);
+    res.status(500).json({
+      error: 'Error fetching mapping profiles',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/courses/mapping-profiles/:id
+// @desc    Get a mapping profile
+// @access  Private (Admin only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Mapping profile not found'
+      });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get mapping profile error:', error);
+    res.status(500).json({
+      error: 'Error fetching mapping profile',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/courses/mapping-profiles
+// @desc    Create a mapping profile
+// @access  Private (Admin only)
+router.post('/', auth, validate(mappingProfileSchemas.create), async (req, res) => {
+  try {
+    const existingProfile = await MappingProfile.findOne({ name: req.body.name });
+
+    if (existingProfile) {
+      return res.status(400).json({
+        error: 'Mapping profile with this name already exists'
+      });
+    }
+
+    const profile = new MappingProfile({
+      ...req.body,
+      createdBy: req.admin._id,
+      updatedBy: req.admin._id
+    });
+
+    await profile.save();
+
+    res.status(201).json({
+      message: 'Mapping profile created successfully',
+      profile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Create mapping profile error:', error);
+    res.status(500).json({
+      error: 'Error creating mapping profile',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/courses/mapping-profiles/:id
+// @desc    Update a mapping profile
+// @access  Private (Admin only)
+router.put('/:id', auth, validate(mappingProfileSchemas.update), async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Mapping profile not found'
+      });
+    }
+
+    if (req.body.name && req.body.name !== profile.name) {
+      const existingProfile = await MappingProfile.findOne({ name: req.body.name });
+      if (existingProfile) {
+        return res.status(400).json({
+          error: 'Mapping profile with this name already exists'
+        });
+      }
+    }
+
+    profile.set(req.body);
+    profile.updatedBy = req.admin._id;
+    await profile.save();
+
+    res.json({
+      message: 'Mapping profile updated successfully',
+      profile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Update mapping profile error:', error);
+    res.status(500).json({
+      error: 'Error updating mapping profile',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/courses/mapping-profiles/:id
+// @desc    Delete a mapping profile
+// @access  Private (Admin only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Mapping profile not found'
+      });
+    }
+
+    await profile.deleteOne();
+
+    res.json({
+      message: 'Mapping profile deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete mapping profile error:', error);
+    res.status(500).json({
+      error: 'Error deleting mapping profile',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
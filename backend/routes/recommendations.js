@@ -1,168 +1,241 @@
 const express = require('express');
 const Course = require('../models/Course');
 const { validate, recommendationSchemas } = require('../middleware/validation');
+const { optionalStudentAuth } = require('../middleware/auth');
 const redisClient = require('../utils/redis');
+const { ACTIVE_COURSE_FILTER } = require('../utils/courseQuery');
+const { resolveDisplayCurrency, convertToBase, convertTuition } = require('../utils/currency');
+const { createRecommendationProvider, LocalRecommendationProvider } = require('../utils/recommendationProviders');
+const { findCandidateCourses, rankCourses } = require('../utils/recommendationScoring');
+const { assessForRecommendation } = require('../utils/eligibility');
+const { getTopicBoosts } = require('../utils/engagement');
 
 const router = express.Router();
 
-// Mock Gemini AI service (replace with actual API integration)
-class GeminiAIService {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
-  }
+// Courses offered to the recommendation provider per request
+const CANDIDATE_LIMIT = parseInt(process.env.RECOMMENDATION_CANDIDATES) || 20;
+
+// Courses returned in aiRecommendations
+const RECOMMENDATION_LIMIT = 5;
+
+const recommendationProvider = createRecommendationProvider();
+const fallbackProvider = new LocalRecommendationProvider();
+
+// Rank candidates with the configured provider, falling back to the local
+// provider when it fails so students still get an answer. With onRanking the
+// rankings are streamed; if the provider fails part way through, the fallback
+// only adds the courses not passed on yet.
+const rankWithProvider = async (preferences, candidates, onRanking) => {
+  const streamed = [];
+  const emit = (entry) => {
+    streamed.push(entry);
+    onRanking(entry, streamed.length - 1);
+  };
+
+  try {
+    const ranking = onRanking
+      ? await recommendationProvider.streamRankings({ preferences, candidates, onRanking: emit })
+      : await recommendationProvider.rankCourses({ preferences, candidates });
+    return { ...ranking, provider: recommendationProvider.name };
+  } catch (error) {
+    if (recommendationProvider.name === fallbackProvider.name) throw error;
+    console.error(`Recommendation provider ${recommendationProvider.name} error:`, error);
 
-  async generateRecommendations(preferences) {
-    try {
-      // In a real implementation, you would make an API call to Gemini AI
-      // For this assessment, we'll simulate the AI response
-      
-      const { topics, skillLevel = 'intermediate', duration, maxTuition } = preferences;
-      
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Generate mock recommendations based on preferences
-      const mockRecommendations = this.generateMockRecommendations(preferences);
-      
-      return {
-        success: true,
-        recommendations: mockRecommendations,
-        reasoning: `Based on your interest in ${topics.join(', ')}, I've recommended courses that align with your ${skillLevel} skill level and preferences.`
-      };
-    } catch (error) {
-      console.error('Gemini AI API error:', error);
-      throw new Error('Failed to generate AI recommendations');
+    const ranking = await fallbackProvider.rankCourses({ preferences, candidates });
+    let rankings = ranking.rankings;
+    if (onRanking) {
+      const streamedIds = new Set(streamed.map(entry => entry.id));
+      rankings.filter(entry => !streamedIds.has(entry.id)).forEach(emit);
+      rankings = streamed;
     }
+
+    return { rankings, reasoning: ranking.reasoning, provider: fallbackProvider.name, fallbackFrom: recommendationProvider.name };
   }
+};
 
-  generateMockRecommendations(preferences) {
-    const { topics, skillLevel, duration, maxTuition } = preferences;
-    
-    // Mock course recommendations based on topics
-    const mockCourses = [
-      {
-        id: 'ai_ml_001',
-        title: 'Advanced Machine Learning',
-        university: 'Stanford University',
-        level: 'Postgraduate',
-        duration: '12 months',
-        tuition: 45000,
-        matchScore: 95,
-        reasoning: 'Perfect for AI/ML enthusiasts with strong mathematical background'
-      },
-      {
-        id: 'data_science_001',
-        title: 'Data Science and Analytics',
-        university: 'MIT',
-        level: 'Postgraduate',
-        duration: '18 months',
-        tuition: 52000,
-        matchScore: 92,
-        reasoning: 'Comprehensive program covering data analysis and visualization'
-      },
-      {
-        id: 'web_dev_001',
-        title: 'Full-Stack Web Development',
-        university: 'UC Berkeley',
-        level: 'Undergraduate',
-        duration: '24 months',
-        tuition: 38000,
-        matchScore: 88,
-        reasoning: 'Hands-on program with modern web technologies'
-      },
-      {
-        id: 'cybersecurity_001',
-        title: 'Cybersecurity and Network Security',
-        university: 'Carnegie Mellon University',
-        level: 'Postgraduate',
-        duration: '16 months',
-        tuition: 48000,
-        matchScore: 85,
-        reasoning: 'Specialized program for security professionals'
-      },
-      {
-        id: 'business_tech_001',
-        title: 'Business Technology Management',
-        university: 'Harvard University',
-        level: 'Postgraduate',
-        duration: '20 months',
-        tuition: 55000,
-        matchScore: 82,
-        reasoning: 'Combines business strategy with technology implementation'
-      }
-    ];
+// Excluded courses listed in the response, with the reasons
+const EXCLUDED_LIMIT = 20;
 
-    // Filter based on preferences
-    let filteredCourses = mockCourses;
+// Best match first; ties go to the course name
+const byMatchScore = (a, b) => b.matchScore - a.matchScore || a.course.courseName.localeCompare(b.course.courseName);
 
-    if (maxTuition) {
-      filteredCourses = filteredCourses.filter(course => course.tuition <= maxTuition);
-    }
+// Add the engagement boost for the requested topics to each course's match
+// score, keeping it within 0-100
+const applyTopicBoosts = async (scored, topics) => {
+  const boosts = await getTopicBoosts(topics, scored.map(({ course }) => course.uniqueId));
+  if (boosts.size === 0) return scored;
 
-    if (duration) {
-      const durationMap = {
-        short: 12,
-        medium: 18,
-        long: 24
-      };
-      const maxDuration = durationMap[duration];
-      if (maxDuration) {
-        filteredCourses = filteredCourses.filter(course => 
-          parseInt(course.duration) <= maxDuration
-        );
-      }
+  return scored
+    .map((entry) => {
+      const topicBoost = boosts.get(entry.course.uniqueId);
+      if (!topicBoost) return entry;
+      return { ...entry, matchScore: Math.min(100, Math.max(0, entry.matchScore + topicBoost)), topicBoost };
+    })
+    .sort(byMatchScore);
+};
+
+// Split scored courses into those the student can apply to, with preference
+// penalties taken off their match score, and those excluded with reasons
+const applyStudentProfile = (scored, profile, display) => {
+  const kept = [];
+  const excludedCourses = [];
+
+  scored.forEach((entry) => {
+    const { blockers, penalties, deadline } = assessForRecommendation(entry.course, profile, display);
+
+    if (blockers.length > 0) {
+      excludedCourses.push({ id: entry.course.uniqueId, title: entry.course.courseName, reasons: blockers });
+      return;
     }
 
-    // Sort by match score
-    filteredCourses.sort((a, b) => b.matchScore - a.matchScore);
+    const penalty = penalties.reduce((sum, { points }) => sum + points, 0);
+    kept.push({
+      ...entry,
+      matchScore: Math.max(0, entry.matchScore - penalty),
+      adjustments: penalties.length > 0 ? penalties : undefined,
+      deadline
+    });
+  });
+
+  kept.sort(byMatchScore);
+  return { scored: kept, excludedCourses };
+};
+
+// Course fields returned by the recommendation endpoints
+const toRecommendation = (course, display) => ({
+  id: course.uniqueId,
+  title: course.courseName,
+  university: course.universityName,
+  level: course.courseLevel,
+  duration: `${course.durationMonths} months`,
+  tuition: course.firstYearTuitionFee,
+  tuitionCurrency: course.tuitionFeeCurrency,
+  convertedTuition: display ? convertTuition(course, display.currency, display.rates) : undefined,
+  description: course.overviewDescription,
+  attendanceType: course.attendanceType,
+  courseUrl: course.courseUrl
+});
+
+const hasValue = value => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+// Fill in preferences the request leaves out from a signed-in student's
+// stored preferences; the student profile is merged field by field. Runs
+// before validation so stored topics satisfy the topics requirement.
+const applyStoredPreferences = (req, res, next) => {
+  const stored = req.student ? req.student.toObject().preferences : null;
+  if (!stored) return next();
 
-    return filteredCourses.slice(0, 5);
+  const { studentProfile, ...preferences } = stored;
+  const merged = Object.fromEntries(Object.entries(preferences).filter(([, value]) => hasValue(value)));
+  Object.assign(merged, req.body);
+
+  if (studentProfile && Object.keys(studentProfile).length > 0) {
+    merged.studentProfile = { ...studentProfile, ...req.body.studentProfile };
   }
 
-  // Real Gemini AI integration (commented out for assessment)
-  /*
-  async callGeminiAPI(prompt) {
-    const response = await fetch(`${this.baseUrl}?key=${this.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
-      })
-    });
+  req.body = merged;
+  next();
+};
 
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
-    }
+// Cache key for a recommendation request, shared by the JSON and streaming
+// endpoints
+const recommendationCacheKey = ({ topics, skillLevel, duration, maxTuition, studentProfile }, display) => JSON.stringify({
+  topics: topics.sort(),
+  skillLevel,
+  duration,
+  maxTuition,
+  currency: display ? display.currency : undefined,
+  studentProfile
+});
+
+// Score the database courses for a request and pick the candidates offered to
+// the provider
+const findDatabaseMatches = async ({ topics, skillLevel, duration, maxTuition, studentProfile }, display) => {
+  // With a currency, maxTuition is in that currency and applies to the
+  // converted tuition of the database courses
+  const tuitionFilter = display && maxTuition !== undefined
+    ? { baseTuitionFee: { $lte: convertToBase(maxTuition, display.currency, display.rates) } }
+    : {};
 
-    const data = await response.json();
-    return data.candidates[0].content.parts[0].text;
+  // Score every course mentioning a topic and keep the best as candidates
+  const preferences = { topics, skillLevel, duration, maxTuition, currency: display ? display.currency : undefined };
+  let scored = rankCourses(await findCandidateCourses(topics, tuitionFilter), preferences, display);
+
+  // Courses students engaged with when recommended for these topics move up
+  scored = await applyTopicBoosts(scored, topics);
+
+  // Drop courses the student cannot apply to and mark down the ones that
+  // miss their preferences
+  let excludedCourses = [];
+  if (studentProfile) {
+    ({ scored, excludedCourses } = applyStudentProfile(scored, studentProfile, display));
   }
-  */
-}
 
-const geminiService = new GeminiAIService();
+  return {
+    preferences,
+    scored,
+    scoredById: new Map(scored.map(entry => [entry.course.uniqueId, entry])),
+    candidates: scored.slice(0, CANDIDATE_LIMIT).map(({ course }) => course),
+    databaseCourses: scored.slice(0, 10).map(({ course, matchScore, factors, topicBoost, adjustments, deadline }) => ({
+      ...toRecommendation(course, display),
+      matchScore,
+      factors,
+      topicBoost,
+      adjustments,
+      applicationDeadline: deadline
+    })),
+    excludedCourses: excludedCourses.slice(0, EXCLUDED_LIMIT)
+  };
+};
+
+// A provider ranking entry as returned in aiRecommendations
+const toAiRecommendation = (entry, index, matches, display) => {
+  const { course, matchScore } = matches.scoredById.get(entry.id);
+  return {
+    ...toRecommendation(course, display),
+    rank: index + 1,
+    matchScore,
+    reasoning: entry.reason
+  };
+};
+
+// Combine AI recommendations with database courses
+const buildResult = (matches, ranking, display) => ({
+  aiRecommendations: ranking.rankings.slice(0, RECOMMENDATION_LIMIT)
+    .map((entry, index) => toAiRecommendation(entry, index, matches, display)),
+  databaseCourses: matches.databaseCourses,
+  excludedCourses: matches.excludedCourses,
+  reasoning: ranking.reasoning,
+  provider: ranking.provider,
+  fallbackFrom: ranking.fallbackFrom,
+  preferences: matches.preferences,
+  fromCache: false
+});
+
+// Cache the result for 1 hour; fallback answers are not cached so the
+// configured provider is tried again on the next request
+const cacheResult = async (cacheKey, result) => {
+  if (!result.fallbackFrom) {
+    await redisClient.setCachedRecommendations(cacheKey, result);
+  }
+};
 
 // @route   POST /api/recommendations
-// @desc    Get AI-powered course recommendations
+// @desc    Get AI-powered course recommendations. A student token pre-fills
+//          preferences the request leaves out from the stored preferences.
 // @access  Public
-router.post('/', validate(recommendationSchemas.getRecommendations), async (req, res) => {
+router.post('/', optionalStudentAuth, applyStoredPreferences, validate(recommendationSchemas.getRecommendations), async (req, res) => {
+  let display;
   try {
-    const { topics, skillLevel, duration, maxTuition } = req.body;
-
-    // Create cache key based on preferences
-    const cacheKey = JSON.stringify({
-      topics: topics.sort(),
-      skillLevel,
-      duration,
-      maxTuition
+    display = await resolveDisplayCurrency(req.body.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
     });
+  }
+
+  try {
+    const cacheKey = recommendationCacheKey(req.body, display);
 
     // Try to get from cache first
     const cachedRecommendations = await redisClient.getCachedRecommendations(cacheKey);
@@ -173,47 +246,13 @@ router.post('/', validate(recommendationSchemas.getRecommendations), async (req,
       });
     }
 
-    // Generate AI recommendations
-    const aiResponse = await geminiService.generateRecommendations({
-      topics,
-      skillLevel,
-      duration,
-      maxTuition
-    });
-
-    // Find matching courses from database
-    const matchingCourses = await Course.find({
-      $or: [
-        { keywords: { $in: topics } },
-        { disciplineMajor: { $in: topics } },
-        { courseName: { $regex: topics.join('|'), $options: 'i' } },
-        { overviewDescription: { $regex: topics.join('|'), $options: 'i' } }
-      ]
-    })
-    .limit(10)
-    .lean();
+    const matches = await findDatabaseMatches(req.body, display);
 
-    // Combine AI recommendations with database courses
-    const result = {
-      aiRecommendations: aiResponse.recommendations,
-      databaseCourses: matchingCourses.map(course => ({
-        id: course.uniqueId,
-        title: course.courseName,
-        university: course.universityName,
-        level: course.courseLevel,
-        duration: `${course.durationMonths} months`,
-        tuition: course.firstYearTuitionFee,
-        description: course.overviewDescription,
-        attendanceType: course.attendanceType,
-        courseUrl: course.courseUrl
-      })),
-      reasoning: aiResponse.reasoning,
-      preferences: { topics, skillLevel, duration, maxTuition },
-      fromCache: false
-    };
+    // Let the provider rank the database candidates
+    const ranking = await rankWithProvider(matches.preferences, matches.candidates);
+    const result = buildResult(matches, ranking, display);
 
-    // Cache the result for 1 hour
-    await redisClient.setCachedRecommendations(cacheKey, result);
+    await cacheResult(cacheKey, result);
 
     res.json(result);
   } catch (error) {
@@ -225,25 +264,136 @@ router.post('/', validate(recommendationSchemas.getRecommendations), async (req,
   }
 });
 
+// @route   POST /api/recommendations/stream
+// @desc    Stream course recommendations as server-sent events: `database`
+//          with the matching database courses, a `recommendation` per
+//          AI-ranked course as it arrives, `reasoning`, then `summary` with
+//          the same body POST /api/recommendations returns. Failures after
+//          the stream has started are sent as an `error` event.
+// @access  Public
+router.post('/stream', optionalStudentAuth, applyStoredPreferences, validate(recommendationSchemas.getRecommendations), async (req, res) => {
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.body.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  // no-transform keeps the compression middleware from buffering events and
+  // X-Accel-Buffering stops nginx holding them back
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let disconnected = false;
+  res.on('close', () => {
+    disconnected = !res.writableEnded;
+  });
+
+  const send = (event, data) => {
+    if (disconnected) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const cacheKey = recommendationCacheKey(req.body, display);
+
+    // Replay a cached result as the same sequence of events
+    const cachedRecommendations = await redisClient.getCachedRecommendations(cacheKey);
+    if (cachedRecommendations) {
+      send('database', {
+        databaseCourses: cachedRecommendations.databaseCourses,
+        excludedCourses: cachedRecommendations.excludedCourses
+      });
+      cachedRecommendations.aiRecommendations.forEach(recommendation => send('recommendation', recommendation));
+      send('reasoning', { reasoning: cachedRecommendations.reasoning });
+      send('summary', { ...cachedRecommendations, fromCache: true });
+      return res.end();
+    }
+
+    // Database matches are sent straight away, before the provider answers
+    const matches = await findDatabaseMatches(req.body, display);
+    send('database', {
+      databaseCourses: matches.databaseCourses,
+      excludedCourses: matches.excludedCourses
+    });
+
+    if (disconnected) return res.end();
+
+    const ranking = await rankWithProvider(matches.preferences, matches.candidates, (entry, index) => {
+      if (index < RECOMMENDATION_LIMIT) {
+        send('recommendation', toAiRecommendation(entry, index, matches, display));
+      }
+    });
+    send('reasoning', { reasoning: ranking.reasoning });
+
+    const result = buildResult(matches, ranking, display);
+    await cacheResult(cacheKey, result);
+
+    send('summary', result);
+  } catch (error) {
+    console.error('Recommendations stream error:', error);
+    send('error', {
+      error: 'Error generating recommendations',
+      details: error.message
+    });
+  }
+
+  res.end();
+});
+
 // @route   GET /api/recommendations/popular
 // @desc    Get popular course recommendations
 // @access  Public
 router.get('/popular', async (req, res) => {
+  let display;
+  try {
+    display = await resolveDisplayCurrency(req.query.currency);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+
+  // The cached list is shared by every currency and converted per request
+  const withCurrency = (result) => {
+    if (!display) return result;
+    return {
+      ...result,
+      currency: display.currency,
+      popularCourses: result.popularCourses.map(course => ({
+        ...course,
+        convertedTuition: convertTuition(course, display.currency, display.rates)
+      }))
+    };
+  };
+
   try {
     // Try to get from cache
     const cachedPopular = await redisClient.get('popular_recommendations');
     if (cachedPopular) {
       return res.json({
-        ...cachedPopular,
+        ...withCurrency(cachedPopular),
         fromCache: true
       });
     }
 
-    // Get popular courses based on various criteria
+    // Rank by recent student engagement, then by university ranking,
+    // acceptance rate and partnership for courses with equal engagement
     const popularCourses = await Course.aggregate([
+      {
+        $match: ACTIVE_COURSE_FILTER
+      },
       {
         $addFields: {
-          popularityScore: {
+          popularityScore: { $ifNull: ['$popularityScore', 0] },
+          rankingScore: {
             $add: [
               { $ifNull: ['$ftRanking2024', 1000] },
               { $multiply: [{ $ifNull: ['$acceptanceRate', 50] }, -1] },
@@ -253,7 +403,7 @@ router.get('/popular', async (req, res) => {
         }
       },
       {
-        $sort: { popularityScore: 1 }
+        $sort: { popularityScore: -1, rankingScore: 1 }
       },
       {
         $limit: 10
@@ -266,9 +416,13 @@ router.get('/popular', async (req, res) => {
           level: '$courseLevel',
           duration: '$durationMonths',
           tuition: '$firstYearTuitionFee',
+          tuitionCurrency: '$tuitionFeeCurrency',
+          baseTuitionFee: '$baseTuitionFee',
+          baseTotalTuitionFee: '$baseTotalTuitionFee',
           description: '$overviewDescription',
           ranking: '$ftRanking2024',
           acceptanceRate: '$acceptanceRate',
+          popularityScore: '$popularityScore',
           courseUrl: '$courseUrl'
         }
       }
@@ -276,14 +430,14 @@ router.get('/popular', async (req, res) => {
 
     const result = {
       popularCourses,
-      reasoning: 'These courses are ranked based on university rankings, acceptance rates, and partnership status.',
+      reasoning: 'These courses are ranked by recent student engagement, then by university rankings, acceptance rates, and partnership status.',
       fromCache: false
     };
 
     // Cache for 2 hours
     await redisClient.set('popular_recommendations', result, 7200);
 
-    res.json(result);
+    res.json(withCurrency(result));
   } catch (error) {
     console.error('Popular recommendations error:', error);
     res.status(500).json({
@@ -308,8 +462,8 @@ router.get('/topics', async (req, res) => {
     }
 
     // Get unique disciplines and keywords
-    const disciplines = await Course.distinct('disciplineMajor');
-    const keywords = await Course.distinct('keywords');
+    const disciplines = await Course.distinct('disciplineMajor', ACTIVE_COURSE_FILTER);
+    const keywords = await Course.distinct('keywords', ACTIVE_COURSE_FILTER);
     
     // Combine and clean up topics
     const allTopics = [...new Set([...disciplines, ...keywords])]
@@ -0,0 +1,292 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Shortlist = require('../models/Shortlist');
+const { studentAuth } = require('../middleware/auth');
+const { validate, studentSchemas } = require('../middleware/validation');
+const { ACTIVE_COURSE_FILTER } = require('../utils/courseQuery');
+const { recordEvent } = require('../utils/engagement');
+
+const router = express.Router();
+
+// Course fields shown with each shortlisted course
+const SHORTLIST_COURSE_FIELDS = [
+  'uniqueId', 'courseName', 'universityName', 'courseLevel', 'disciplineMajor',
+  'attendanceType', 'durationMonths', 'firstYearTuitionFee', 'tuitionFeeCurrency',
+  'internationalApplicationDeadline', 'domesticApplicationDeadline', 'courseUrl', 'status'
+];
+
+// Look up one of the student's shortlists, treating malformed ids as not found
+const findShortlist = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Shortlist.findOne({ _id: req.params.id, student: req.student._id });
+};
+
+const isDuplicateName = error => error.code === 11000;
+
+// Shortlisted courses with their current details; courses removed since they
+// were added have `course: null`
+const withCourseDetails = async (shortlist) => {
+  const courses = await Course.find({ uniqueId: { $in: shortlist.courses.map(({ courseId }) => courseId) } })
+    .select(SHORTLIST_COURSE_FIELDS.join(' '))
+    .lean();
+  const coursesById = new Map(courses.map(course => [course.uniqueId, course]));
+
+  return {
+    ...shortlist.toJSON(),
+    courses: shortlist.courses.map(entry => ({
+      ...entry.toObject(),
+      course: coursesById.get(entry.courseId) || null
+    }))
+  };
+};
+
+// @route   GET /api/students/me/shortlists
+// @desc    List the student's shortlists
+// @access  Private (Student)
+router.get('/', studentAuth, async (req, res) => {
+  try {
+    const shortlists = await Shortlist.find({ student: req.student._id }).sort({ name: 1 });
+
+    res.json({ shortlists });
+  } catch (error) {
+    console.error('List shortlists error:', error);
+    res.status(500).json({
+      error: 'Error fetching shortlists',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/students/me/shortlists
+// @desc    Create a shortlist
+// @access  Private (Student)
+router.post('/', studentAuth, validate(studentSchemas.shortlist), async (req, res) => {
+  try {
+    const shortlist = new Shortlist({
+      student: req.student._id,
+      name: req.body.name
+    });
+    await shortlist.save();
+
+    res.status(201).json({
+      message: 'Shortlist created successfully',
+      shortlist
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({
+        error: 'Shortlist with this name already exists'
+      });
+    }
+
+    console.error('Create shortlist error:', error);
+    res.status(500).json({
+      error: 'Error creating shortlist',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/students/me/shortlists/:id
+// @desc    Get a shortlist with the details of its courses
+// @access  Private (Student)
+router.get('/:id', studentAuth, async (req, res) => {
+  try {
+    const shortlist = await findShortlist(req);
+
+    if (!shortlist) {
+      return res.status(404).json({
+        error: 'Shortlist not found'
+      });
+    }
+
+    res.json({ shortlist: await withCourseDetails(shortlist) });
+  } catch (error) {
+    console.error('Get shortlist error:', error);
+    res.status(500).json({
+      error: 'Error fetching shortlist',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/students/me/shortlists/:id
+// @desc    Rename a shortlist
+// @access  Private (Student)
+router.put('/:id', studentAuth, validate(studentSchemas.shortlist), async (req, res) => {
+  try {
+    const shortlist = await findShortlist(req);
+
+    if (!shortlist) {
+      return res.status(404).json({
+        error: 'Shortlist not found'
+      });
+    }
+
+    shortlist.name = req.body.name;
+    await shortlist.save();
+
+    res.json({
+      message: 'Shortlist updated successfully',
+      shortlist
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({
+        error: 'Shortlist with this name already exists'
+      });
+    }
+
+    console.error('Update shortlist error:', error);
+    res.status(500).json({
+      error: 'Error updating shortlist',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/students/me/shortlists/:id
+// @desc    Delete a shortlist
+// @access  Private (Student)
+router.delete('/:id', studentAuth, async (req, res) => {
+  try {
+    const shortlist = await findShortlist(req);
+
+    if (!shortlist) {
+      return res.status(404).json({
+        error: 'Shortlist not found'
+      });
+    }
+
+    await shortlist.deleteOne();
+
+    res.json({
+      message: 'Shortlist deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shortlist error:', error);
+    res.status(500).json({
+      error: 'Error deleting shortlist',
+      details: error.message
+    });
+  }
+});
+
+// @route   POST /api/students/me/shortlists/:id/courses
+// @desc    Add a course to a shortlist, with an optional note
+// @access  Private (Student)
+router.post('/:id/courses', studentAuth, validate(studentSchemas.addCourse), async (req, res) => {
+  try {
+    const { courseId, note } = req.body;
+    const shortlist = await findShortlist(req);
+
+    if (!shortlist) {
+      return res.status(404).json({
+        error: 'Shortlist not found'
+      });
+    }
+
+    const course = await Course.exists({ ...ACTIVE_COURSE_FILTER, uniqueId: courseId });
+    if (!course) {
+      return res.status(404).json({
+        error: 'Course not found'
+      });
+    }
+
+    if (shortlist.courses.some(entry => entry.courseId === courseId)) {
+      return res.status(400).json({
+        error: 'Course is already in this shortlist'
+      });
+    }
+
+    shortlist.courses.push({ courseId, note });
+    await shortlist.save();
+
+    // Saving counts towards the course's popularity; a failure here should
+    // not fail the save
+    recordEvent({ type: 'save', courseId }).catch((error) => {
+      console.error('Record event error:', error);
+    });
+
+    res.status(201).json({
+      message: 'Course added to shortlist',
+      shortlist: await withCourseDetails(shortlist)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Add shortlist course error:', error);
+    res.status(500).json({
+      error: 'Error adding course to shortlist',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/students/me/shortlists/:id/courses/:courseId
+// @desc    Update the note on a shortlisted course
+// @access  Private (Student)
+router.put('/:id/courses/:courseId', studentAuth, validate(studentSchemas.updateCourse), async (req, res) => {
+  try {
+    const shortlist = await findShortlist(req);
+    const entry = shortlist && shortlist.courses.find(({ courseId }) => courseId === req.params.courseId);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: shortlist ? 'Course is not in this shortlist' : 'Shortlist not found'
+      });
+    }
+
+    entry.note = req.body.note;
+    await shortlist.save();
+
+    res.json({
+      message: 'Note updated successfully',
+      shortlist: await withCourseDetails(shortlist)
+    });
+  } catch (error) {
+    console.error('Update shortlist note error:', error);
+    res.status(500).json({
+      error: 'Error updating note',
+      details: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/students/me/shortlists/:id/courses/:courseId
+// @desc    Remove a course from a shortlist
+// @access  Private (Student)
+router.delete('/:id/courses/:courseId', studentAuth, async (req, res) => {
+  try {
+    const shortlist = await findShortlist(req);
+    const index = shortlist ? shortlist.courses.findIndex(({ courseId }) => courseId === req.params.courseId) : -1;
+
+    if (index === -1) {
+      return res.status(404).json({
+        error: shortlist ? 'Course is not in this shortlist' : 'Shortlist not found'
+      });
+    }
+
+    shortlist.courses.splice(index, 1);
+    await shortlist.save();
+
+    res.json({
+      message: 'Course removed from shortlist',
+      shortlist: await withCourseDetails(shortlist)
+    });
+  } catch (error) {
+    console.error('Remove shortlist course error:', error);
+    res.status(500).json({
+      error: 'Error removing course from shortlist',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
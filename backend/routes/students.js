@@ -0,0 +1,221 @@
+const express = require('express');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const DeadlineSubscription = require('../models/DeadlineSubscription');
+const { studentAuth, generateStudentToken } = require('../middleware/auth');
+const { validate, studentSchemas } = require('../middleware/validation');
+const { DEADLINE_TYPES, formatDeadline, daysUntil } = require('../utils/deadlines');
+
+const router = express.Router();
+
+const toStudentResponse = student => ({
+  id: student._id,
+  name: student.name,
+  email: student.email,
+  role: 'student',
+  lastLogin: student.lastLogin
+});
+
+// @route   POST /api/students/signup
+// @desc    Register a new student
+// @access  Public
+router.post('/signup', validate(studentSchemas.signup), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    // Check if student already exists
+    const existingStudent = await Student.findOne({ email: email.toLowerCase() });
+
+    if (existingStudent) {
+      return res.status(400).json({
+        error: 'Student with this email already exists'
+      });
+    }
+
+    const student = new Student({
+      name,
+      email,
+      password
+    });
+
+    await student.save();
+
+    // Generate JWT token
+    const token = generateStudentToken(student);
+
+    res.status(201).json({
+      message: 'Student registered successfully',
+      student: toStudentResponse(student),
+      token
+    });
+  } catch (error) {
+    console.error('Student signup error:', error);
+    res.status(500).json({
+      error: 'Internal server error during registration'
+    });
+  }
+});
+
+// @route   POST /api/students/login
+// @desc    Login student
+// @access  Public
+router.post('/login', validate(studentSchemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find student by credentials
+    const student = await Student.findByCredentials(email.toLowerCase(), password);
+
+    // Generate JWT token
+    const token = generateStudentToken(student);
+
+    res.json({
+      message: 'Login successful',
+      student: toStudentResponse(student),
+      token
+    });
+  } catch (error) {
+    console.error('Student login error:', error);
+    res.status(401).json({
+      error: error.message || 'Invalid credentials'
+    });
+  }
+});
+
+// @route   GET /api/students/me
+// @desc    Get current student profile and stored preferences
+// @access  Private (Student)
+router.get('/me', studentAuth, async (req, res) => {
+  try {
+    res.json({
+      student: {
+        ...toStudentResponse(req.student),
+        preferences: req.student.toJSON().preferences || {},
+        createdAt: req.student.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get student profile error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/students/me/preferences
+// @desc    Replace the stored recommendation preferences, which pre-fill
+//          POST /api/recommendations for this student
+// @access  Private (Student)
+router.put('/me/preferences', studentAuth, validate(studentSchemas.preferences), async (req, res) => {
+  try {
+    req.student.preferences = req.body;
+    await req.student.save();
+
+    res.json({
+      message: 'Preferences saved successfully',
+      preferences: req.student.toJSON().preferences || {}
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Save preferences error:', error);
+    res.status(500).json({
+      error: 'Error saving preferences',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/students/me/deadline-subscriptions
+// @desc    List the courses whose deadlines the student is reminded of,
+//          soonest deadline first
+// @access  Private (Student)
+router.get('/me/deadline-subscriptions', studentAuth, async (req, res) => {
+  try {
+    const subscriptions = await DeadlineSubscription.find({ student: req.student._id }).lean();
+    const courses = await Course.find({ uniqueId: { $in: subscriptions.map(({ courseId }) => courseId) } })
+      .select('uniqueId courseName universityName status domesticApplicationDeadline internationalApplicationDeadline domesticDeadlineDate internationalDeadlineDate')
+      .lean();
+    const coursesById = new Map(courses.map(course => [course.uniqueId, course]));
+
+    const now = new Date();
+    const entries = subscriptions.map(({ courseId, deadlineType, remindersSent, createdAt }) => {
+      const course = coursesById.get(courseId);
+      const { field, dateField } = DEADLINE_TYPES[deadlineType];
+      const date = course ? course[dateField] : null;
+
+      return {
+        courseId,
+        deadlineType,
+        subscribedAt: createdAt,
+        remindersSent: remindersSent.length,
+        course: course
+          ? { courseName: course.courseName, universityName: course.universityName, status: course.status }
+          : null,
+        deadline: date ? formatDeadline(date) : null,
+        deadlineText: course ? course[field] : null,
+        daysLeft: date ? daysUntil(date, now) : null
+      };
+    });
+
+    // Unknown deadlines last
+    entries.sort((a, b) => (a.deadline || '\uffff').localeCompare(b.deadline || '\uffff'));
+
+    res.json({ subscriptions: entries });
+  } catch (error) {
+    console.error('Get deadline subscriptions error:', error);
+    res.status(500).json({
+      error: 'Error fetching deadline subscriptions',
+      details: error.message
+    });
+  }
+});
+
+// @route   PUT /api/students/me/change-password
+// @desc    Change student password
+// @access  Private (Student)
+router.put('/me/change-password', studentAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'Current password and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        error: 'New password must be at least 6 characters long'
+      });
+    }
+
+    // Verify current password
+    const isMatch = await req.student.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        error: 'Current password is incorrect'
+      });
+    }
+
+    // Update password
+    req.student.password = newPassword;
+    await req.student.save();
+
+    res.json({
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Student change password error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
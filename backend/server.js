@@ -7,9 +7,21 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const Course = require('./models/Course');
+const { getExchangeRates } = require('./utils/currency');
+const { recoverImportJobs } = require('./utils/courseImport');
+const { scheduleEngagementRollup } = require('./utils/engagement');
+const { scheduleDeadlineReminders } = require('./utils/deadlineReminders');
+
 const authRoutes = require('./routes/auth');
 const courseRoutes = require('./routes/courses');
+const importRoutes = require('./routes/imports');
+const mappingProfileRoutes = require('./routes/mappingProfiles');
 const recommendationRoutes = require('./routes/recommendations');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const eventRoutes = require('./routes/events');
+const studentRoutes = require('./routes/students');
+const shortlistRoutes = require('./routes/shortlists');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,6 +36,13 @@ app.use(cors({
   credentials: true
 }));
 
+// Behind a reverse proxy, read client IP addresses from X-Forwarded-For
+// (e.g. TRUST_PROXY=1 for one proxy hop) so rate limits apply per client
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -50,8 +69,14 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/courses/imports', importRoutes);
+app.use('/api/courses/mapping-profiles', mappingProfileRoutes);
 app.use('/api/courses', courseRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/students/me/shortlists', shortlistRoutes);
+app.use('/api/students', studentRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -69,8 +94,27 @@ app.use('*', (req, res) => {
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/course_compass')
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    // Resume queued imports and fail those a stopped server left processing
+    await recoverImportJobs();
+
+    // Courses stored before fuzzy search existed have no search trigrams
+    await Course.backfillSearchGrams();
+
+    // Courses stored before deadlines were parsed have no deadline dates
+    await Course.backfillDeadlineDates();
+
+    // Pick up courses stored before their currency had a rate
+    await Course.refreshBaseTuition(await getExchangeRates());
+
+    // Roll up course events into popularity scores every night
+    scheduleEngagementRollup();
+
+    // Remind subscribed students of approaching application deadlines
+    scheduleDeadlineReminders();
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,106 @@
+const { buildCourseEvents, buildCalendar } = require('../utils/calendar');
+
+const course = {
+  uniqueId: 'UNI-DS-01',
+  courseName: 'Data Science, Analytics; and AI',
+  universityName: 'Example University',
+  courseUrl: 'https://example.edu/courses/data-science',
+  updatedAt: new Date('2025-01-02T03:04:05Z'),
+  domesticApplicationDeadline: '2025-03-01',
+  domesticDeadlineDate: new Date('2025-03-01T00:00:00Z'),
+  internationalApplicationDeadline: '15 January 2025',
+  internationalDeadlineDate: new Date('2025-01-15T00:00:00Z'),
+  openForIntake: 'September 2025, February 2026'
+};
+
+const uids = lines => lines.filter(line => line.startsWith('UID:'));
+
+// Unfold continuation lines (RFC 5545 section 3.1)
+const unfold = text => text.replace(/\r\n /g, '');
+
+describe('buildCourseEvents', () => {
+  test('adds an event per deadline and intake', () => {
+    expect(uids(buildCourseEvents(course))).toEqual([
+      'UID:UNI-DS-01-domestic-deadline@course-compass',
+      'UID:UNI-DS-01-international-deadline@course-compass',
+      'UID:UNI-DS-01-intake-20250901@course-compass',
+      'UID:UNI-DS-01-intake-20260201@course-compass'
+    ]);
+  });
+
+  test('keeps UIDs stable when dates change or intakes are added', () => {
+    const changed = buildCourseEvents({
+      ...course,
+      domesticDeadlineDate: new Date('2025-04-01T00:00:00Z'),
+      openForIntake: 'January 2025, September 2025, February 2026'
+    });
+
+    expect(uids(changed)).toEqual([
+      'UID:UNI-DS-01-domestic-deadline@course-compass',
+      'UID:UNI-DS-01-international-deadline@course-compass',
+      'UID:UNI-DS-01-intake-20250101@course-compass',
+      'UID:UNI-DS-01-intake-20250901@course-compass',
+      'UID:UNI-DS-01-intake-20260201@course-compass'
+    ]);
+  });
+
+  test('writes all-day dates and a sequence from the last update', () => {
+    const lines = buildCourseEvents(course, { types: ['international'] });
+
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250115');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250116');
+    expect(lines).toContain('DTSTAMP:20250102T030405Z');
+    expect(lines).toContain(`SEQUENCE:${Math.floor(course.updatedAt.getTime() / 60000)}`);
+  });
+
+  test('keeps only the requested deadline types', () => {
+    const lines = buildCourseEvents({ ...course, openForIntake: '' }, { types: ['domestic'] });
+    expect(uids(lines)).toEqual(['UID:UNI-DS-01-domestic-deadline@course-compass']);
+  });
+
+  test('skips deadlines without a date and links that are not http', () => {
+    const lines = buildCourseEvents({
+      ...course,
+      courseUrl: 'javascript:alert(1)',
+      domesticDeadlineDate: null,
+      openForIntake: ''
+    });
+
+    expect(uids(lines)).toEqual(['UID:UNI-DS-01-international-deadline@course-compass']);
+    expect(lines.some(line => line.startsWith('URL:'))).toBe(false);
+  });
+});
+
+describe('buildCalendar', () => {
+  const calendar = buildCalendar([course], { name: 'My, saved; search' });
+
+  test('uses CRLF line endings throughout', () => {
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  test('escapes text values', () => {
+    const text = unfold(calendar);
+
+    expect(text).toContain('X-WR-CALNAME:My\\, saved\\; search');
+    expect(text).toContain('SUMMARY:Domestic application deadline: Data Science\\, Analytics\\; and AI (Example University)');
+    expect(text).toContain('\\nhttps://example.edu/courses/data-science');
+  });
+
+  test('escapes backslashes before the characters they escape', () => {
+    const lines = buildCourseEvents({ ...course, courseName: 'C:\\Temp, files', openForIntake: '' }, { types: ['domestic'] });
+    expect(lines).toContain('SUMMARY:Domestic application deadline: C:\\\\Temp\\, files (Example University)');
+  });
+
+  test('folds lines longer than 75 octets without splitting characters', () => {
+    const name = `Études supérieures ${'en intelligence artificielle '.repeat(5)}`;
+    const folded = buildCalendar([{ ...course, courseName: name, openForIntake: '' }], { types: ['domestic'] });
+    const lines = folded.split('\r\n');
+
+    lines.forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    expect(unfold(folded)).toContain(`SUMMARY:Domestic application deadline: ${name.trim()}`);
+  });
+});
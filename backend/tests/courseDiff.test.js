@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { isEqual, diffCourse, definedFields } = require('../utils/courseDiff');
+
+describe('isEqual', () => {
+  test('treats missing and empty values alike', () => {
+    expect(isEqual(undefined, null)).toBe(true);
+    expect(isEqual('', null)).toBe(true);
+    expect(isEqual(0, null)).toBe(false);
+  });
+
+  test('compares dates, ObjectIds and arrays by value', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(isEqual(new Date('2025-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'))).toBe(true);
+    expect(isEqual(id, new mongoose.Types.ObjectId(id.toHexString()))).toBe(true);
+    expect(isEqual(['a', 'b'], ['a', 'b'])).toBe(true);
+    expect(isEqual(['a', 'b'], ['b', 'a'])).toBe(false);
+  });
+});
+
+describe('diffCourse', () => {
+  const existing = {
+    _id: new mongoose.Types.ObjectId(),
+    courseName: 'Data Science',
+    firstYearTuitionFee: 20000,
+    keywords: ['data', 'ai'],
+    updatedAt: new Date()
+  };
+
+  test('lists the fields that change', () => {
+    expect(diffCourse(existing, {
+      courseName: 'Data Science',
+      firstYearTuitionFee: 22000,
+      keywords: ['data', 'ai', 'ml'],
+      specialization: 'Machine Learning'
+    })).toEqual([
+      { field: 'firstYearTuitionFee', from: 20000, to: 22000 },
+      { field: 'keywords', from: ['data', 'ai'], to: ['data', 'ai', 'ml'] },
+      { field: 'specialization', from: null, to: 'Machine Learning' }
+    ]);
+  });
+
+  test('leaves out undefined updates and managed fields', () => {
+    expect(diffCourse(existing, {
+      courseName: undefined,
+      _id: new mongoose.Types.ObjectId(),
+      updatedAt: new Date(0)
+    })).toEqual([]);
+  });
+
+  test('records clearing a field', () => {
+    expect(diffCourse(existing, { courseName: null })).toEqual([
+      { field: 'courseName', from: 'Data Science', to: null }
+    ]);
+  });
+});
+
+describe('definedFields', () => {
+  test('drops undefined values only', () => {
+    expect(definedFields({ a: 1, b: undefined, c: null, d: '' })).toEqual({ a: 1, c: null, d: '' });
+  });
+});
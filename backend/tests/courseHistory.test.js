@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const ExchangeRate = require('../models/ExchangeRate');
+const redisClient = require('../utils/redis');
+const { clearExchangeRateCache } = require('../utils/currency');
+const { writeWithRevision, rollbackImportJob } = require('../utils/courseHistory');
+
+const jobId = new mongoose.Types.ObjectId();
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+// Revisions of an upload job, in the order they were recorded
+const uploadRevision = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  course: new mongoose.Types.ObjectId(),
+  source: 'upload',
+  importJob: jobId,
+  ...fields
+});
+
+// Serve the job's revisions (newest first) and the current courses, and
+// capture what the rollback writes
+const mockStore = (revisions, courses) => {
+  const writes = [];
+  const recorded = [];
+
+  jest.spyOn(CourseRevision, 'find').mockReturnValue({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => [...revisions].reverse()
+      })
+    })
+  });
+  jest.spyOn(Course, 'find').mockReturnValue({ lean: async () => courses });
+  jest.spyOn(Course, 'bulkWrite').mockImplementation(async (ops) => {
+    writes.push(...ops);
+    return {};
+  });
+  jest.spyOn(CourseRevision, 'insertMany').mockImplementation(async (docs) => {
+    recorded.push(...docs);
+    return docs;
+  });
+
+  return { writes, recorded };
+};
+
+beforeEach(() => {
+  clearExchangeRateCache();
+  jest.spyOn(ExchangeRate, 'find').mockReturnValue({ lean: async () => [{ currency: 'GBP', rate: 1.25 }] });
+  jest.spyOn(redisClient, 'invalidateCourseCache').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rollbackImportJob', () => {
+  test('deletes created courses and restores updated fields', async () => {
+    const created = uploadRevision({
+      uniqueId: 'NEW-1',
+      action: 'create',
+      changes: [{ field: 'courseName', from: null, to: 'New Course' }],
+      snapshot: { uniqueId: 'NEW-1', courseName: 'New Course' }
+    });
+    const updated = uploadRevision({
+      uniqueId: 'OLD-1',
+      action: 'update',
+      changes: [
+        { field: 'firstYearTuitionFee', from: 20000, to: 22000 },
+        { field: 'specialization', from: null, to: 'Machine Learning' }
+      ],
+      snapshot: {}
+    });
+    const newCourse = { _id: created.course, uniqueId: 'NEW-1', courseName: 'New Course' };
+    const oldCourse = {
+      _id: updated.course,
+      uniqueId: 'OLD-1',
+      firstYearTuitionFee: 22000,
+      tuitionFeeCurrency: 'GBP',
+      specialization: 'Machine Learning'
+    };
+    const { writes, recorded } = mockStore([created, updated], [newCourse, oldCourse]);
+
+    const result = await rollbackImportJob({ _id: jobId }, admin);
+
+    expect(result).toEqual({ reverted: 2, conflicts: [] });
+    expect(writes).toEqual([
+      {
+        updateOne: {
+          filter: { _id: oldCourse._id },
+          update: {
+            $set: { firstYearTuitionFee: 20000, baseTuitionFee: 25000, baseTotalTuitionFee: null },
+            $unset: { specialization: 1 }
+          }
+        }
+      },
+      { deleteOne: { filter: { _id: newCourse._id } } }
+    ]);
+    expect(recorded.map(({ action, rollbackOf }) => ({ action, rollbackOf }))).toEqual([
+      { action: 'update', rollbackOf: updated._id },
+      { action: 'delete', rollbackOf: created._id }
+    ]);
+    expect(recorded[0].changes).toEqual([
+      { field: 'firstYearTuitionFee', from: 22000, to: 20000 },
+      { field: 'specialization', from: 'Machine Learning', to: null }
+    ]);
+  });
+
+  test('keeps fields edited after the import and reports them', async () => {
+    const updated = uploadRevision({
+      uniqueId: 'OLD-1',
+      action: 'update',
+      changes: [
+        { field: 'courseName', from: 'Data Science', to: 'Data Science MSc' },
+        { field: 'durationMonths', from: 12, to: 18 }
+      ],
+      snapshot: {}
+    });
+    const { writes } = mockStore([updated], [{
+      _id: updated.course,
+      uniqueId: 'OLD-1',
+      courseName: 'Applied Data Science',
+      durationMonths: 18
+    }]);
+
+    const { reverted, conflicts } = await rollbackImportJob({ _id: jobId }, admin);
+
+    expect(reverted).toBe(1);
+    expect(writes).toEqual([
+      { updateOne: { filter: { _id: updated.course }, update: { $set: { durationMonths: 12 } } } }
+    ]);
+    expect(conflicts).toEqual([{
+      uniqueId: 'OLD-1',
+      revision: updated._id,
+      reason: 'Fields changed after the import were left as they are',
+      fields: ['courseName']
+    }]);
+  });
+
+  test('does not delete a created course that was edited since', async () => {
+    const created = uploadRevision({
+      uniqueId: 'NEW-1',
+      action: 'create',
+      changes: [],
+      snapshot: { uniqueId: 'NEW-1', courseName: 'New Course' }
+    });
+    const { writes } = mockStore([created], [{ _id: created.course, uniqueId: 'NEW-1', courseName: 'Renamed' }]);
+
+    const { reverted, conflicts } = await rollbackImportJob({ _id: jobId }, admin);
+
+    expect(reverted).toBe(0);
+    expect(writes).toEqual([]);
+    expect(conflicts[0]).toMatchObject({ reason: 'Course was changed after the import and was not deleted', fields: ['courseName'] });
+  });
+
+  test('undoes repeated rows of a course newest first', async () => {
+    const first = uploadRevision({
+      uniqueId: 'OLD-1',
+      action: 'update',
+      changes: [{ field: 'durationMonths', from: 12, to: 18 }],
+      snapshot: {}
+    });
+    const second = uploadRevision({
+      uniqueId: 'OLD-1',
+      course: first.course,
+      action: 'update',
+      changes: [{ field: 'durationMonths', from: 18, to: 24 }],
+      snapshot: {}
+    });
+    const { writes } = mockStore([first, second], [{ _id: first.course, uniqueId: 'OLD-1', durationMonths: 24 }]);
+
+    const { reverted, conflicts } = await rollbackImportJob({ _id: jobId }, admin);
+
+    expect(reverted).toBe(2);
+    expect(conflicts).toEqual([]);
+    expect(writes.map(op => op.updateOne.update.$set.durationMonths)).toEqual([18, 12]);
+  });
+
+  test('reports courses that no longer exist', async () => {
+    const updated = uploadRevision({ uniqueId: 'GONE-1', action: 'update', changes: [], snapshot: {} });
+    mockStore([updated], []);
+
+    const { reverted, conflicts } = await rollbackImportJob({ _id: jobId }, admin);
+
+    expect(reverted).toBe(0);
+    expect(conflicts).toEqual([{ uniqueId: 'GONE-1', revision: updated._id, reason: 'Course no longer exists', fields: [] }]);
+  });
+});
+
+describe('writeWithRevision', () => {
+  test('stores the revision before making the write', async () => {
+    const calls = [];
+    jest.spyOn(CourseRevision, 'create').mockImplementation(async () => {
+      calls.push('revision');
+      return { _id: 'revision-id' };
+    });
+
+    const result = await writeWithRevision({ uniqueId: 'A' }, async () => {
+      calls.push('write');
+      return 'saved';
+    });
+
+    expect(result).toBe('saved');
+    expect(calls).toEqual(['revision', 'write']);
+  });
+
+  test('skips the write when the revision cannot be stored', async () => {
+    jest.spyOn(CourseRevision, 'create').mockRejectedValue(new Error('insert failed'));
+    const write = jest.fn();
+
+    await expect(writeWithRevision({ uniqueId: 'A' }, write)).rejects.toThrow('insert failed');
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('removes the revision when the write fails', async () => {
+    jest.spyOn(CourseRevision, 'create').mockResolvedValue({ _id: 'revision-id' });
+    const deleteOne = jest.spyOn(CourseRevision, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(writeWithRevision({ uniqueId: 'A' }, async () => {
+      throw new Error('validation failed');
+    })).rejects.toThrow('validation failed');
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'revision-id' });
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Two rows per batch, so repeated courses span batches
+process.env.IMPORT_BATCH_SIZE = '2';
+
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const ExchangeRate = require('../models/ExchangeRate');
+const ImportJob = require('../models/ImportJob');
+const redisClient = require('../utils/redis');
+const { mapRowToCourse } = require('../utils/courseMapping');
+const { processImportJob } = require('../utils/courseImport');
+
+const baseRow = {
+  courseCode: 'DS101',
+  universityCode: 'UNI',
+  universityName: 'Example University',
+  departmentSchool: 'Computing',
+  disciplineMajor: 'Computer Science',
+  overviewDescription: 'An introduction to data',
+  learningOutcomes: 'Analyse data',
+  assessmentMethods: 'Exams',
+  professorName: 'Ada Lovelace',
+  professorEmail: 'ada@example.edu',
+  officeLocation: 'Room 1',
+  openForIntake: 'September 2025',
+  twelfthGradeRequirement: 'Mathematics',
+  undergraduateDegreeRequirement: 'None',
+  syllabusUrl: 'https://example.edu/syllabus',
+  credits: '60'
+};
+
+const row = fields => ({ ...baseRow, ...fields });
+
+// Courses stored before the import, keyed by uniqueId
+let stored;
+let revisions;
+let tmpDir;
+
+const storedCourse = fields => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...mapRowToCourse(row(fields), 0)
+});
+
+// Serve and update `stored` in place of MongoDB
+const mockCourseStore = () => {
+  jest.spyOn(Course, 'find').mockImplementation(async ({ uniqueId }) => {
+    return uniqueId.$in.filter(id => stored.has(id)).map(id => Course.hydrate(stored.get(id)));
+  });
+  jest.spyOn(Course, 'bulkWrite').mockImplementation(async (ops) => {
+    const upsertedIds = {};
+    ops.forEach(({ updateOne: { filter, update } }, index) => {
+      const existing = stored.get(filter.uniqueId);
+      if (existing) {
+        Object.assign(existing, update.$set);
+      } else {
+        upsertedIds[index] = new mongoose.Types.ObjectId();
+        stored.set(filter.uniqueId, { _id: upsertedIds[index], uniqueId: filter.uniqueId, ...update.$set });
+      }
+    });
+    return { upsertedIds };
+  });
+  jest.spyOn(CourseRevision, 'insertMany').mockImplementation(async (docs) => {
+    revisions.push(...docs);
+    return docs;
+  });
+};
+
+// Run an import job over the rows, written to a JSON upload
+const runImport = async (rows, { dryRun = false } = {}) => {
+  const filePath = path.join(tmpDir, `upload-${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(rows));
+
+  const job = new ImportJob({ originalFilename: 'courses.json', filePath, format: 'json', dryRun, status: 'processing' });
+  jest.spyOn(job, 'save').mockResolvedValue(job);
+  jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(job);
+
+  return processImportJob(job._id);
+};
+
+const counts = job => ({
+  created: job.createdRows,
+  updated: job.updatedRows,
+  unchanged: job.unchangedRows,
+  failed: job.failedRows
+});
+
+beforeEach(() => {
+  stored = new Map();
+  revisions = [];
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-import-'));
+  mockCourseStore();
+  jest.spyOn(ExchangeRate, 'find').mockReturnValue({ lean: async () => [] });
+  jest.spyOn(redisClient, 'invalidateCourseCache').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('processImportJob', () => {
+  // Batch one creates NEW-1 and updates OLD-1; batch two repeats both
+  const rows = [
+    row({ uniqueId: 'NEW-1', courseName: 'Data Science' }),
+    row({ uniqueId: 'OLD-1', courseName: 'Statistics II' }),
+    row({ uniqueId: 'NEW-1', courseName: 'Data Science MSc' }),
+    row({ uniqueId: 'OLD-1', courseName: 'Statistics II' })
+  ];
+
+  beforeEach(() => {
+    stored.set('OLD-1', storedCourse({ uniqueId: 'OLD-1', courseName: 'Statistics' }));
+  });
+
+  test('previews repeated courses against the earlier rows of the file', async () => {
+    const job = await runImport(rows, { dryRun: true });
+
+    expect(job.status).toBe('completed');
+    expect(job.preview.map(({ row: rowNumber, uniqueId, action }) => ({ rowNumber, uniqueId, action }))).toEqual([
+      { rowNumber: 1, uniqueId: 'NEW-1', action: 'create' },
+      { rowNumber: 2, uniqueId: 'OLD-1', action: 'update' },
+      { rowNumber: 3, uniqueId: 'NEW-1', action: 'update' },
+      { rowNumber: 4, uniqueId: 'OLD-1', action: 'unchanged' }
+    ]);
+    expect(job.preview[2].changes.map(({ field, from, to }) => ({ field, from, to }))).toEqual([
+      { field: 'courseName', from: 'Data Science', to: 'Data Science MSc' }
+    ]);
+    expect(Course.bulkWrite).not.toHaveBeenCalled();
+    expect(stored.has('NEW-1')).toBe(false);
+  });
+
+  test('imports the rows as the dry run previewed them', async () => {
+    const preview = counts(await runImport(rows, { dryRun: true }));
+    const job = await runImport(rows);
+
+    expect(job.status).toBe('completed');
+    expect(counts(job)).toEqual(preview);
+    expect(counts(job)).toEqual({ created: 1, updated: 2, unchanged: 1, failed: 0 });
+    expect(stored.get('NEW-1').courseName).toBe('Data Science MSc');
+    expect(stored.get('OLD-1').courseName).toBe('Statistics II');
+    expect(revisions.map(({ uniqueId, action }) => `${action} ${uniqueId}`)).toEqual([
+      'create NEW-1',
+      'update OLD-1',
+      'update NEW-1'
+    ]);
+  });
+
+  test('plans a course repeated within a batch after its earlier row', async () => {
+    const job = await runImport([
+      row({ uniqueId: 'NEW-2', courseName: 'Robotics' }),
+      row({ uniqueId: 'NEW-2', courseName: 'Robotics and AI' })
+    ]);
+
+    expect(counts(job)).toEqual({ created: 1, updated: 1, unchanged: 0, failed: 0 });
+    expect(revisions[1].changes).toEqual([{ field: 'courseName', from: 'Robotics', to: 'Robotics and AI' }]);
+  });
+
+  test('rejects invalid rows without stopping the import', async () => {
+    const job = await runImport([
+      row({ uniqueId: 'BAD-1', courseName: '' }),
+      row({ uniqueId: 'NEW-3', courseName: 'Ethics' })
+    ], { dryRun: true });
+
+    expect(counts(job)).toEqual({ created: 1, updated: 0, unchanged: 0, failed: 1 });
+    expect(job.rowErrors[0].row).toBe(1);
+    expect(job.preview[0]).toMatchObject({ uniqueId: 'BAD-1', action: 'reject' });
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const {
+  parseSort,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/courseQuery');
+
+describe('parseSort', () => {
+  test('maps sort keys to fields and appends _id as a tie-breaker', () => {
+    expect(parseSort('tuition,-ranking')).toEqual([
+      { field: 'firstYearTuitionFee', direction: 1 },
+      { field: 'ftRanking2024', direction: -1 },
+      { field: '_id', direction: 1 }
+    ]);
+  });
+
+  test('sorts tuition by the base currency amounts when converted', () => {
+    expect(parseSort('-totalTuition', { converted: true })[0]).toEqual({ field: 'baseTotalTuitionFee', direction: -1 });
+  });
+
+  test('rejects unknown and empty sorts', () => {
+    expect(() => parseSort('password')).toThrow('Unknown sort field: password');
+    expect(() => parseSort(' , ')).toThrow('Sort parameter is empty');
+  });
+});
+
+describe('toMongoSort', () => {
+  test('builds a sort object, optionally reversed', () => {
+    const spec = parseSort('-duration');
+    expect(toMongoSort(spec)).toEqual({ durationMonths: -1, _id: 1 });
+    expect(toMongoSort(spec, true)).toEqual({ durationMonths: 1, _id: -1 });
+  });
+});
+
+describe('cursor tokens', () => {
+  const spec = parseSort('deadline,name');
+  const course = {
+    _id: new mongoose.Types.ObjectId(),
+    courseName: 'Data Science',
+    internationalDeadlineDate: new Date('2025-03-01T00:00:00Z')
+  };
+
+  test('round-trip dates, ObjectIds and plain values', () => {
+    const values = decodeCursor(encodeCursor(course, spec), spec);
+
+    expect(values[0]).toBeInstanceOf(Date);
+    expect(values[0].toISOString()).toBe('2025-03-01T00:00:00.000Z');
+    expect(values[1]).toBe('Data Science');
+    expect(values[2]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(values[2].equals(course._id)).toBe(true);
+  });
+
+  test('encode missing values as null', () => {
+    const token = encodeCursor({ _id: course._id, courseName: 'Law' }, spec);
+    expect(decodeCursor(token, spec)[0]).toBeNull();
+  });
+
+  test('are URL safe', () => {
+    expect(encodeCursor(course, spec)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  test('are rejected for a different sort', () => {
+    const token = encodeCursor(course, spec);
+    expect(() => decodeCursor(token, parseSort('-deadline,name'))).toThrow('does not match the requested sort');
+  });
+
+  test('are rejected when malformed or tampered with', () => {
+    expect(() => decodeCursor('not a cursor', spec)).toThrow('Invalid pagination cursor');
+
+    const signature = 'internationalDeadlineDate,courseName,_id';
+    const tampered = Buffer.from(JSON.stringify({ s: signature, v: [null, 'Law', { $oid: 'zzz' }] })).toString('base64url');
+    expect(() => decodeCursor(tampered, spec)).toThrow('Invalid pagination cursor');
+  });
+});
+
+describe('buildCursorFilter', () => {
+  const spec = parseSort('-tuition');
+  const id = new mongoose.Types.ObjectId();
+
+  test('selects the documents after the cursor', () => {
+    expect(buildCursorFilter(spec, [20000, id])).toEqual({
+      $or: [
+        { $or: [{ firstYearTuitionFee: { $lt: 20000 } }, { firstYearTuitionFee: null }] },
+        { $and: [{ firstYearTuitionFee: 20000 }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+
+  test('selects the documents before the cursor', () => {
+    expect(buildCursorFilter(spec, [20000, id], false)).toEqual({
+      $or: [
+        { firstYearTuitionFee: { $gt: 20000 } },
+        { $and: [{ firstYearTuitionFee: 20000 }, { $or: [{ _id: { $lt: id } }, { _id: null }] }] }
+      ]
+    });
+  });
+
+  test('treats null as lower than every value', () => {
+    expect(buildCursorFilter(spec, [null, id])).toEqual({
+      $or: [{ $and: [{ firstYearTuitionFee: null }, { _id: { $gt: id } }] }]
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  getExchangeRates,
+  clearExchangeRateCache,
+  resolveCurrency,
+  resolveDisplayCurrency,
+  convertToBase,
+  convertFromBase,
+  buildBaseTuition,
+  touchesTuitionFields,
+  convertTuition
+} = require('../utils/currency');
+
+const rates = new Map([['USD', 1], ['GBP', 1.25], ['INR', 0.012]]);
+
+describe('normalizeCurrency', () => {
+  test('reads codes, symbols and names', () => {
+    expect(normalizeCurrency('usd')).toBe('USD');
+    expect(normalizeCurrency(' £ ')).toBe('GBP');
+    expect(normalizeCurrency('Pound  Sterling')).toBe('GBP');
+    expect(normalizeCurrency('A$')).toBe('AUD');
+    expect(normalizeCurrency('Rupees')).toBe('INR');
+  });
+
+  test('returns null for values that are not a currency', () => {
+    expect(normalizeCurrency('')).toBeNull();
+    expect(normalizeCurrency(undefined)).toBeNull();
+    expect(normalizeCurrency('Dollarydoos')).toBeNull();
+  });
+});
+
+describe('conversion', () => {
+  test('converts to and from the base currency, rounded to cents', () => {
+    expect(convertToBase(20000, 'GBP', rates)).toBe(25000);
+    expect(convertToBase(1234567, '₹', rates)).toBe(14814.8);
+    expect(convertFromBase(25000, 'GBP', rates)).toBe(20000);
+    expect(convertFromBase(100, 'INR', rates)).toBe(8333.33);
+  });
+
+  test('returns null for unknown currencies and missing amounts', () => {
+    expect(convertToBase(100, 'JPY', rates)).toBeNull();
+    expect(convertToBase(undefined, 'GBP', rates)).toBeNull();
+    expect(convertFromBase(null, 'GBP', rates)).toBeNull();
+  });
+
+  test('builds the base tuition of a course, defaulting to USD', () => {
+    expect(buildBaseTuition({ firstYearTuitionFee: 20000, totalTuitionFee: 40000, tuitionFeeCurrency: 'GBP' }, rates)).toEqual({
+      baseTuitionFee: 25000,
+      baseTotalTuitionFee: 50000
+    });
+    expect(buildBaseTuition({ firstYearTuitionFee: 15000 }, rates)).toEqual({
+      baseTuitionFee: 15000,
+      baseTotalTuitionFee: null
+    });
+  });
+
+  test('converts a course tuition to a display currency', () => {
+    expect(convertTuition({ baseTuitionFee: 25000, baseTotalTuitionFee: 50000 }, 'GBP', rates)).toEqual({
+      currency: 'GBP',
+      firstYearTuitionFee: 20000,
+      totalTuitionFee: 40000
+    });
+  });
+
+  test('notices changes to the tuition fields', () => {
+    expect(touchesTuitionFields([{ field: 'courseName' }, { field: 'tuitionFeeCurrency' }])).toBe(true);
+    expect(touchesTuitionFields([{ field: 'courseName' }])).toBe(false);
+  });
+});
+
+describe('resolveCurrency', () => {
+  test('accepts currencies with a rate', () => {
+    expect(resolveCurrency('gbp', rates)).toBe('GBP');
+  });
+
+  test('rejects currencies without a rate', () => {
+    expect(() => resolveCurrency('EUR', rates)).toThrow('No exchange rate for currency: EUR. Available: GBP, INR, USD');
+  });
+});
+
+describe('getExchangeRates', () => {
+  let find;
+
+  beforeEach(() => {
+    clearExchangeRateCache();
+    find = jest.spyOn(ExchangeRate, 'find').mockReturnValue({
+      lean: async () => [{ currency: 'GBP', rate: 1.25 }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('always includes the base currency', async () => {
+    const loaded = await getExchangeRates();
+    expect(loaded.get('GBP')).toBe(1.25);
+    expect(loaded.get(BASE_CURRENCY)).toBe(1);
+  });
+
+  test('caches the rates until they are cleared', async () => {
+    await getExchangeRates();
+    await getExchangeRates();
+    expect(find).toHaveBeenCalledTimes(1);
+
+    clearExchangeRateCache();
+    await getExchangeRates();
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+
+  test('resolves a requested display currency', async () => {
+    await expect(resolveDisplayCurrency(undefined)).resolves.toBeNull();
+    await expect(resolveDisplayCurrency('£')).resolves.toMatchObject({ currency: 'GBP' });
+    await expect(resolveDisplayCurrency('EUR')).rejects.toThrow('No exchange rate for currency: EUR');
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  parseDeadline,
+  parseIntakeDates,
+  buildDeadlineDates,
+  findInvalidDeadlines,
+  daysUntil
+} = require('../utils/deadlines');
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe('parseDeadline', () => {
+  test.each([
+    ['2025-01-15', utc(2025, 1, 15)],
+    ['2025/1/5', utc(2025, 1, 5)],
+    ['2025.01.15 23:59', utc(2025, 1, 15)],
+    ['2025-01-15T09:30:00Z', utc(2025, 1, 15)],
+    ['15 January 2025', utc(2025, 1, 15)],
+    ['15th Jan 2025', utc(2025, 1, 15)],
+    ['15-Jan-2025', utc(2025, 1, 15)],
+    ['January 15, 2025', utc(2025, 1, 15)],
+    ['Sept. 1 2025', utc(2025, 9, 1)]
+  ])('reads %s', (value, expected) => {
+    expect(parseDeadline(value)).toEqual({ date: expected, invalid: false });
+  });
+
+  test('treats empty values as no deadline', () => {
+    [undefined, null, '', '   '].forEach((value) => {
+      expect(parseDeadline(value)).toEqual({ date: null, invalid: false });
+    });
+  });
+
+  test('marks unreadable values and impossible dates as invalid', () => {
+    expect(parseDeadline('Rolling admissions')).toEqual({ date: null, invalid: true });
+    expect(parseDeadline('2025-02-30')).toEqual({ date: null, invalid: true });
+    expect(parseDeadline('31 April 2025')).toEqual({ date: null, invalid: true });
+  });
+
+  test('accepts Date values', () => {
+    const date = utc(2025, 3, 1);
+    expect(parseDeadline(date)).toEqual({ date, invalid: false });
+    expect(parseDeadline(new Date('nope'))).toEqual({ date: null, invalid: true });
+  });
+});
+
+describe('buildDeadlineDates', () => {
+  test('parses both deadline fields into their date fields', () => {
+    expect(buildDeadlineDates({
+      domesticApplicationDeadline: '2025-03-01',
+      internationalApplicationDeadline: 'Rolling'
+    })).toEqual({
+      domesticDeadlineDate: utc(2025, 3, 1),
+      internationalDeadlineDate: null
+    });
+  });
+});
+
+describe('findInvalidDeadlines', () => {
+  test('lists set deadlines that are not dates', () => {
+    expect(findInvalidDeadlines({
+      domesticApplicationDeadline: '',
+      internationalApplicationDeadline: 'Rolling'
+    })).toEqual([{ field: 'internationalApplicationDeadline', value: 'Rolling' }]);
+  });
+});
+
+describe('parseIntakeDates', () => {
+  test('reads months, seasons and dates in order without repeats', () => {
+    expect(parseIntakeDates('January 2026, Fall 2025 and 2025-09-01')).toEqual([
+      utc(2025, 9, 1),
+      utc(2026, 1, 1)
+    ]);
+  });
+
+  test('repeats intakes without a year for each open year', () => {
+    expect(parseIntakeDates('September; February intake', [2025, 2026])).toEqual([
+      utc(2025, 2, 1),
+      utc(2025, 9, 1),
+      utc(2026, 2, 1),
+      utc(2026, 9, 1)
+    ]);
+  });
+
+  test('skips parts it cannot read', () => {
+    expect(parseIntakeDates('Ongoing / March 2025')).toEqual([utc(2025, 3, 1)]);
+    expect(parseIntakeDates('')).toEqual([]);
+  });
+});
+
+describe('daysUntil', () => {
+  test('counts whole days from the start of today', () => {
+    const now = new Date('2025-01-10T22:15:00Z');
+    expect(daysUntil(utc(2025, 1, 10), now)).toBe(0);
+    expect(daysUntil(utc(2025, 1, 11), now)).toBe(1);
+    expect(daysUntil(utc(2025, 2, 9), now)).toBe(30);
+    expect(daysUntil(utc(2025, 1, 3), now)).toBe(-7);
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  parseMinimumScore,
+  parseOpenYears,
+  applicableDeadline,
+  checkEligibility,
+  assessForRecommendation
+} = require('../utils/eligibility');
+
+const course = {
+  courseLevel: 'Postgraduate',
+  minimumIELTSScore: 6.5,
+  minimumTOEFLScore: 90,
+  greRequired: true,
+  greScore: 'Minimum 310',
+  gmatRequired: false,
+  firstYearTuitionFee: 30000,
+  tuitionFeeCurrency: 'GBP',
+  baseTuitionFee: 37500,
+  domesticApplicationDeadline: '2000-01-01',
+  internationalApplicationDeadline: '2999-06-30'
+};
+
+const requirements = result => result.missing.map(item => item.requirement);
+
+describe('parseMinimumScore', () => {
+  test('reads the first number of a free-text score', () => {
+    expect(parseMinimumScore('Minimum 310')).toBe(310);
+    expect(parseMinimumScore('650+')).toBe(650);
+    expect(parseMinimumScore('6.5 overall')).toBe(6.5);
+    expect(parseMinimumScore(320)).toBe(320);
+    expect(parseMinimumScore('Recommended')).toBeNull();
+  });
+});
+
+describe('checkEligibility', () => {
+  test('accepts a student meeting every requirement', () => {
+    const result = checkEligibility(course, {
+      toeflScore: 95,
+      greScore: 315,
+      highestQualification: 'bachelor',
+      budget: 30000
+    });
+
+    expect(result.eligible).toBe(true);
+    expect(result.missing).toEqual([]);
+  });
+
+  test('accepts any one of the English tests', () => {
+    const result = checkEligibility(course, { ieltsScore: 6, toeflScore: 92, greScore: 320 });
+    expect(requirements(result)).toEqual([]);
+  });
+
+  test('reports each missed requirement and by how much', () => {
+    const result = checkEligibility(course, {
+      ieltsScore: 6,
+      highestQualification: 'diploma',
+      budget: 25000
+    });
+
+    expect(result.eligible).toBe(false);
+    expect(result.missing).toEqual([
+      { requirement: 'ieltsScore', message: 'IELTS score below the minimum', required: 6.5, actual: 6, shortBy: 0.5 },
+      { requirement: 'greScore', message: 'GRE is required', required: 310 },
+      {
+        requirement: 'highestQualification',
+        message: 'A bachelor qualification is required for Postgraduate study',
+        required: 'bachelor',
+        actual: 'diploma',
+        shortBy: 1
+      },
+      {
+        requirement: 'budget',
+        message: 'First-year tuition is over budget',
+        required: 30000,
+        actual: 25000,
+        shortBy: 5000,
+        currency: 'GBP'
+      }
+    ]);
+  });
+
+  test('reports a missing English score when the course sets a minimum', () => {
+    const result = checkEligibility({ minimumIELTSScore: 6.5 }, {});
+    expect(result.missing).toEqual([expect.objectContaining({ message: expect.stringContaining('IELTS') })]);
+  });
+
+  test('compares the budget in a display currency', () => {
+    const display = { currency: 'USD', rates: new Map([['USD', 1], ['GBP', 1.25]]) };
+
+    expect(requirements(checkEligibility(course, { budget: 40000 }, display))).not.toContain('budget');
+
+    const [budget] = checkEligibility(course, { budget: 35000 }, display).missing.filter(item => item.requirement === 'budget');
+    expect(budget).toMatchObject({ required: 37500, shortBy: 2500, currency: 'USD' });
+  });
+
+  test('lists free-text requirements as notes', () => {
+    const result = checkEligibility({ waiverOptions: 'IELTS waived for native speakers' }, {});
+    expect(result.notes).toEqual(['Waivers: IELTS waived for native speakers']);
+  });
+});
+
+describe('applicableDeadline', () => {
+  const today = new Date('2025-01-01T12:00:00Z');
+
+  test('uses the international deadline unless the student is domestic', () => {
+    expect(applicableDeadline(course, {}, today)).toEqual({ type: 'international', date: '2999-06-30', passed: false });
+    expect(applicableDeadline(course, { residency: 'domestic' }, today)).toEqual({ type: 'domestic', date: '2000-01-01', passed: true });
+  });
+
+  test('prefers the stored deadline date', () => {
+    const stored = { ...course, internationalDeadlineDate: new Date('2024-12-31T00:00:00Z') };
+    expect(applicableDeadline(stored, {}, today).passed).toBe(true);
+  });
+
+  test('leaves passed unknown for deadlines that are not dates', () => {
+    expect(applicableDeadline({ internationalApplicationDeadline: 'Rolling' }, {}, today)).toEqual({
+      type: 'international',
+      date: 'Rolling',
+      passed: null
+    });
+  });
+});
+
+describe('parseOpenYears', () => {
+  test('reads lists and ranges of years', () => {
+    expect(parseOpenYears('2025, 2026')).toEqual([2025, 2026]);
+    expect(parseOpenYears('2025-2027')).toEqual([2025, 2026, 2027]);
+    expect(parseOpenYears('2025 to 2026 and 2028')).toEqual([2025, 2026, 2028]);
+    expect(parseOpenYears('2026; 2025 – 2026')).toEqual([2025, 2026]);
+  });
+
+  test('returns no years when none can be read', () => {
+    expect(parseOpenYears('Every year')).toEqual([]);
+    expect(parseOpenYears(undefined)).toEqual([]);
+  });
+});
+
+describe('assessForRecommendation', () => {
+  const recommended = {
+    ...course,
+    admissionOpenYears: '2025-2026',
+    attendanceType: 'Full-time',
+    languageOfInstruction: 'English'
+  };
+  const profile = { toeflScore: 100, greScore: 320 };
+
+  test('blocks courses the student cannot apply to', () => {
+    const { blockers } = assessForRecommendation(recommended, { ieltsScore: 6, greScore: 320, intakeYear: 2027 });
+
+    expect(blockers).toEqual([
+      'IELTS score below the minimum (6.5 required, 6 given)',
+      'Not open for 2027 intake (open: 2025, 2026)'
+    ]);
+  });
+
+  test('blocks courses whose deadline has passed', () => {
+    const { blockers } = assessForRecommendation(recommended, { ...profile, residency: 'domestic' });
+    expect(blockers).toEqual(['The domestic application deadline (2000-01-01) has passed']);
+  });
+
+  test('marks down unpreferred attendance types and languages', () => {
+    const { blockers, penalties } = assessForRecommendation(recommended, {
+      ...profile,
+      intakeYear: 2026,
+      preferredAttendanceType: 'part-time',
+      preferredLanguage: 'english'
+    });
+
+    expect(blockers).toEqual([]);
+    expect(penalties).toEqual([{ reason: 'Full-time rather than part-time', points: 15 }]);
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../utils/courseImport', () => ({
+  ...jest.requireActual('../utils/courseImport'),
+  enqueueImportJob: jest.fn()
+}));
+
+const Admin = require('../models/Admin');
+const ImportJob = require('../models/ImportJob');
+const MappingProfile = require('../models/MappingProfile');
+const { enqueueImportJob, processImportJob, recoverImportJobs } = require('../utils/courseImport');
+const importRoutes = require('../routes/imports');
+const courseRoutes = require('../routes/courses');
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses/imports', importRoutes);
+app.use('/api/courses', courseRoutes);
+
+const admin = { _id: new mongoose.Types.ObjectId(), isActive: true };
+const token = jwt.sign({ id: admin._id, type: 'admin' }, process.env.JWT_SECRET);
+
+beforeEach(() => {
+  jest.spyOn(Admin, 'findOne').mockResolvedValue(admin);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+  enqueueImportJob.mockClear();
+});
+
+describe('POST /api/courses/upload', () => {
+  test('queues an import job and answers with its status URL', async () => {
+    let created;
+    jest.spyOn(ImportJob, 'create').mockImplementation(async (data) => {
+      created = new ImportJob(data);
+      return created;
+    });
+
+    const res = await request(app)
+      .post('/api/courses/upload?dryRun=true')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('csvFile', Buffer.from('uniqueId,courseName\nA,Data Science\n'), 'courses.csv');
+    fs.unlinkSync(created.filePath);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({
+      message: 'Course data dry run queued',
+      jobId: String(created._id),
+      dryRun: true,
+      mappingProfile: null,
+      status: 'queued',
+      statusUrl: `/api/courses/imports/${created._id}`
+    });
+    expect(created).toMatchObject({ originalFilename: 'courses.csv', format: 'csv', dryRun: true });
+    expect(enqueueImportJob).toHaveBeenCalledWith(created._id);
+  });
+
+  test('requires an admin token', async () => {
+    const res = await request(app).post('/api/courses/upload');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/courses/imports/:jobId', () => {
+  test('reports the progress of a job', async () => {
+    const job = new ImportJob({
+      originalFilename: 'courses.csv',
+      filePath: '/tmp/courses.csv',
+      status: 'processing',
+      processedRows: 1000,
+      successfulRows: 990,
+      failedRows: 10,
+      heartbeatAt: new Date()
+    });
+    jest.spyOn(ImportJob, 'findById').mockResolvedValue(job);
+
+    const res = await request(app)
+      .get(`/api/courses/imports/${job._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.job).toMatchObject({
+      id: String(job._id),
+      status: 'processing',
+      processedRows: 1000,
+      successfulRows: 990,
+      failedRows: 10
+    });
+    expect(ImportJob.findById).toHaveBeenCalledWith(String(job._id));
+  });
+
+  test('answers 404 for unknown and malformed job ids', async () => {
+    jest.spyOn(ImportJob, 'findById').mockResolvedValue(null);
+
+    const missing = await request(app)
+      .get(`/api/courses/imports/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${token}`);
+    const malformed = await request(app)
+      .get('/api/courses/imports/not-a-job')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(missing.status).toBe(404);
+    expect(malformed.status).toBe(404);
+    expect(ImportJob.findById).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('import job heartbeat', () => {
+  const newJob = fields => new ImportJob({
+    originalFilename: 'courses.csv',
+    filePath: '/tmp/missing-upload.csv',
+    status: 'processing',
+    ...fields
+  });
+
+  test('only a queued job is claimed', async () => {
+    jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ImportJob, 'exists').mockResolvedValue({ _id: 'job' });
+    const jobId = new mongoose.Types.ObjectId();
+
+    await expect(processImportJob(jobId)).resolves.toBeNull();
+    expect(ImportJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: jobId, status: 'queued' },
+      { $set: { status: 'processing', startedAt: expect.any(Date), heartbeatAt: expect.any(Date) } },
+      { new: true }
+    );
+  });
+
+  test('is refreshed while the job runs and stops when it ends', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    const job = newJob({ mappingProfile: new mongoose.Types.ObjectId() });
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(job);
+    const heartbeat = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    // Hold the job on its first step until the test lets it go on; the
+    // mapping profile has gone, so the job then fails
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let release;
+    jest.spyOn(MappingProfile, 'findById').mockReturnValue(new Promise((resolve) => { release = resolve; }));
+
+    const running = processImportJob(job._id);
+    await new Promise(resolve => setImmediate(resolve));
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(heartbeat).toHaveBeenCalledWith(
+      { _id: job._id, status: 'processing' },
+      { $set: { heartbeatAt: expect.any(Date) } }
+    );
+
+    release(null);
+    const finished = await running;
+    expect(finished.status).toBe('failed');
+
+    heartbeat.mockClear();
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(heartbeat).not.toHaveBeenCalled();
+  });
+
+  test('recovery fails jobs with an expired heartbeat and requeues queued ones', async () => {
+    const live = newJob({ heartbeatAt: new Date() });
+    const stale = newJob({ heartbeatAt: new Date(Date.now() - 60 * 60 * 1000) });
+    const queued = newJob({ status: 'queued' });
+
+    const find = jest.spyOn(ImportJob, 'find').mockImplementation((filter) => {
+      const jobs = filter.status === 'queued' ? [queued] : [stale];
+      return { select: () => (filter.status === 'queued' ? { sort: async () => jobs } : Promise.resolve(jobs)) };
+    });
+    const updateOne = jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // The requeued job is claimed by another server first
+    const claim = jest.spyOn(ImportJob, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ImportJob, 'exists').mockResolvedValue({ _id: queued._id });
+
+    await expect(recoverImportJobs()).resolves.toEqual({ failed: 1, requeued: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [staleFilter] = find.mock.calls[0];
+    const staleBefore = staleFilter.$or[0].heartbeatAt.$lt;
+    expect(staleFilter.status).toBe('processing');
+    expect(staleBefore.getTime()).toBeLessThan(live.heartbeatAt.getTime());
+    expect(staleBefore.getTime()).toBeGreaterThan(stale.heartbeatAt.getTime());
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: stale._id, status: 'processing', heartbeatAt: stale.heartbeatAt },
+      { $set: expect.objectContaining({ status: 'failed' }) }
+    );
+    expect(claim).toHaveBeenCalledWith({ _id: queued._id, status: 'queued' }, expect.anything(), { new: true });
+  });
+
+  test('recovery leaves a job whose heartbeat moved on since it was found', async () => {
+    const stale = newJob({ heartbeatAt: new Date(0) });
+    jest.spyOn(ImportJob, 'find').mockReturnValue({ select: async () => [stale] });
+    jest.spyOn(ImportJob, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(ImportJob.failStaleJobs(new Date())).resolves.toEqual([]);
+  });
+});
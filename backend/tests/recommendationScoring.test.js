@@ -0,0 +1,113 @@
+const Course = require('../models/Course');
+const {
+  DEFAULT_WEIGHTS,
+  findCandidateCourses,
+  scoreCourse,
+  rankCourses
+} = require('../utils/recommendationScoring');
+
+const course = {
+  courseName: 'Advanced Computing',
+  keywords: ['Machine Learning'],
+  disciplineMajor: 'Computer Science',
+  overviewDescription: 'Covers statistics for data analysis.',
+  courseLevel: 'Postgraduate',
+  durationMonths: 12,
+  firstYearTuitionFee: 30000,
+  baseTuitionFee: 37500
+};
+
+describe('scoreCourse', () => {
+  test('weighs every requested factor', () => {
+    const { matchScore, factors } = scoreCourse(course, {
+      topics: ['machine learning', 'robotics'],
+      skillLevel: 'intermediate',
+      duration: 'short',
+      maxTuition: 25000
+    });
+
+    expect(matchScore).toBe(69);
+    expect(factors).toEqual([
+      { factor: 'topic', score: 0.5, weight: DEFAULT_WEIGHTS.topic, detail: 'Matches machine learning (keyword)' },
+      { factor: 'skillLevel', score: 1, weight: DEFAULT_WEIGHTS.skillLevel, detail: 'Postgraduate level for a intermediate student' },
+      { factor: 'duration', score: 1, weight: DEFAULT_WEIGHTS.duration, detail: '12 months fits a short course' },
+      { factor: 'budget', score: 0.6, weight: DEFAULT_WEIGHTS.budget, detail: '20% over budget' }
+    ]);
+  });
+
+  test('rescales the weights of the factors that were asked about', () => {
+    const { matchScore, factors } = scoreCourse(course, { topics: ['statistics'] });
+
+    expect(factors).toEqual([
+      { factor: 'topic', score: 0.5, weight: 1, detail: 'Matches statistics (description)' }
+    ]);
+    expect(matchScore).toBe(50);
+  });
+
+  test('takes the strongest place a topic is found', () => {
+    const [topic] = scoreCourse(course, { topics: ['Computer Science'] }).factors;
+    expect(topic).toMatchObject({ score: 0.9, detail: 'Matches computer science (discipline)' });
+  });
+
+  test('penalises long prerequisite lists for beginners', () => {
+    const [, skill] = scoreCourse({ ...course, courseLevel: 'Undergraduate', prerequisites: ['a', 'b', 'c'] }, {
+      topics: ['machine learning'],
+      skillLevel: 'beginner'
+    }).factors;
+
+    expect(skill).toMatchObject({ score: 0.8, detail: 'Undergraduate level for a beginner student; 3 prerequisites' });
+  });
+
+  test('scores durations outside the preference by distance', () => {
+    const [, duration] = scoreCourse({ ...course, durationMonths: 30 }, { topics: ['x'], duration: 'medium' }).factors;
+    expect(duration).toMatchObject({ score: 0.5, detail: '30 months is 6 months outside a medium course' });
+  });
+
+  test('compares the budget in the base currency when a display currency is given', () => {
+    const display = { currency: 'GBP', rates: new Map([['USD', 1], ['GBP', 1.25]]) };
+    const [, budget] = scoreCourse(course, { topics: ['x'], maxTuition: 30000 }, display).factors;
+
+    expect(budget).toMatchObject({ score: 1, detail: 'Within budget' });
+  });
+});
+
+describe('rankCourses', () => {
+  test('orders by match score, then by course name', () => {
+    const courses = [
+      { ...course, courseName: 'Zoology', keywords: [], overviewDescription: '' },
+      { ...course, courseName: 'Machine Learning B' },
+      { ...course, courseName: 'Machine Learning A' }
+    ];
+
+    const ranked = rankCourses(courses, { topics: ['machine learning'] });
+
+    expect(ranked.map(item => [item.course.courseName, item.matchScore])).toEqual([
+      ['Machine Learning A', 100],
+      ['Machine Learning B', 100],
+      ['Zoology', 0]
+    ]);
+  });
+});
+
+describe('findCandidateCourses', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the strongest topic matches, in a stable order', async () => {
+    const aggregate = jest.spyOn(Course, 'aggregate').mockResolvedValue([]);
+
+    await findCandidateCourses(['data (science)'], { baseTuitionFee: { $lte: 30000 } });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    const [match, relevance, sort, limit] = pipeline;
+
+    expect(match.$match).toMatchObject({ baseTuitionFee: { $lte: 30000 } });
+    expect(match.$match.$or).toHaveLength(5);
+    expect(match.$match.$or[0].keywords.$in[0].test('Data (Science) and AI')).toBe(true);
+    expect(relevance.$addFields.topicRelevance.$add).toHaveLength(1);
+    expect(relevance.$addFields.topicRelevance.$add[0].$switch.branches.map(branch => branch.then)).toEqual([1, 0.9, 0.9, 0.8, 0.5]);
+    expect(sort).toEqual({ $sort: { topicRelevance: -1, _id: 1 } });
+    expect(limit.$limit).toBeGreaterThan(0);
+  });
+});
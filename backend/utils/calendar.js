@@ -0,0 +1,146 @@
+const { DEADLINE_TYPES, parseIntakeDates } = require('./deadlines');
+const { parseOpenYears } = require('./eligibility');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCT_ID = '-//Course Compass//Application Deadlines//EN';
+
+// Right-hand side of every event UID
+const UID_DOMAIN = 'course-compass';
+
+// How often subscribed calendar apps should fetch the feed again
+const REFRESH_INTERVAL = 'PT12H';
+
+// Course fields needed to build a course's events
+const CALENDAR_COURSE_FIELDS = [
+  'uniqueId', 'courseName', 'universityName', 'courseUrl', 'updatedAt',
+  'openForIntake', 'admissionOpenYears',
+  ...Object.values(DEADLINE_TYPES).flatMap(({ field, dateField }) => [field, dateField])
+];
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line into lines of at most 75 octets, continued with a
+// leading space (RFC 5545 section 3.1). Characters are never split.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines spend one octet on the leading space
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20250115 for an all-day DATE value
+const formatDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// 20250115T093000Z for a UTC DATE-TIME value
+const formatDateTime = date => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// All-day VEVENT. A deadline's UID depends only on the course and the
+// deadline type, so a deadline whose date changes replaces the old one in
+// calendar apps. An intake's UID holds its start date, so adding or removing
+// an intake leaves the others alone. The SEQUENCE (minutes since the epoch of
+// the course's last update) tells calendar apps which version is newer.
+const buildEvent = ({ uid, date, summary, description, url, updatedAt }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(`${uid}@${UID_DOMAIN}`)}`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    `SEQUENCE:${Math.floor(updatedAt.getTime() / 60000)}`,
+    `DTSTART;VALUE=DATE:${formatDate(date)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(date.getTime() + DAY_MS))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    url ? `URL:${url}` : null,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+
+  return lines.filter(line => line !== null);
+};
+
+// Content lines of the events for a course: one per parsed application
+// deadline (of `types`) and one per intake start read from openForIntake
+const buildCourseEvents = (course, { types = Object.keys(DEADLINE_TYPES), now = new Date() } = {}) => {
+  const updatedAt = course.updatedAt ? new Date(course.updatedAt) : now;
+  const title = `${course.courseName} (${course.universityName})`;
+  const url = course.courseUrl && /^https?:\/\//i.test(course.courseUrl) ? course.courseUrl : null;
+  const events = [];
+
+  types.forEach((type) => {
+    const { field, dateField } = DEADLINE_TYPES[type];
+    if (!course[dateField]) return;
+
+    events.push(buildEvent({
+      uid: `${course.uniqueId}-${type}-deadline`,
+      date: new Date(course[dateField]),
+      summary: `${type === 'domestic' ? 'Domestic' : 'International'} application deadline: ${title}`,
+      description: [
+        `${type === 'domestic' ? 'Domestic' : 'International'} application deadline for ${course.courseName} at ${course.universityName}: ${course[field]}`,
+        url
+      ].filter(Boolean).join('\n'),
+      url,
+      updatedAt
+    }));
+  });
+
+  parseIntakeDates(course.openForIntake, parseOpenYears(course.admissionOpenYears)).forEach((date) => {
+    events.push(buildEvent({
+      uid: `${course.uniqueId}-intake-${formatDate(date)}`,
+      date,
+      summary: `Intake starts: ${title}`,
+      description: [
+        `Intake for ${course.courseName} at ${course.universityName} (open for intake: ${course.openForIntake})`,
+        url
+      ].filter(Boolean).join('\n'),
+      url,
+      updatedAt
+    }));
+  });
+
+  return events.flat();
+};
+
+// A complete iCalendar document (CRLF line endings, folded lines) holding the
+// events of every course
+const buildCalendar = (courses, { name, types, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name || 'Course deadlines')}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...courses.flatMap(course => buildCourseEvents(course, { types, now })),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  CALENDAR_COURSE_FIELDS,
+  buildCourseEvents,
+  buildCalendar
+};
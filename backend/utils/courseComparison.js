@@ -0,0 +1,99 @@
+const { normalizeCurrency, convertFromBase } = require('./currency');
+
+// Tuition in the comparison currency. Courses already in that currency keep
+// their exact stored amount.
+const tuitionIn = (field, baseField) => (course, { currency, rates }) => {
+  if (normalizeCurrency(course.tuitionFeeCurrency || 'USD') === currency) {
+    return course[field];
+  }
+  return convertFromBase(course[baseField], currency, rates);
+};
+
+const fieldValue = field => course => course[field];
+
+// Rows of the comparison table. `best` says which value wins: the lowest,
+// the highest, false for requirements, the latest date, or none.
+const COMPARISON_ROWS = [
+  { attribute: 'firstYearTuitionFee', label: 'First-year tuition', value: tuitionIn('firstYearTuitionFee', 'baseTuitionFee'), best: 'lowest' },
+  { attribute: 'totalTuitionFee', label: 'Total tuition', value: tuitionIn('totalTuitionFee', 'baseTotalTuitionFee'), best: 'lowest' },
+  { attribute: 'durationMonths', label: 'Duration (months)', value: fieldValue('durationMonths'), best: 'lowest' },
+  { attribute: 'credits', label: 'Credits', value: fieldValue('credits'), best: null },
+  { attribute: 'minimumIELTSScore', label: 'Minimum IELTS', value: fieldValue('minimumIELTSScore'), best: 'lowest' },
+  { attribute: 'minimumTOEFLScore', label: 'Minimum TOEFL', value: fieldValue('minimumTOEFLScore'), best: 'lowest' },
+  { attribute: 'minimumPTEScore', label: 'Minimum PTE', value: fieldValue('minimumPTEScore'), best: 'lowest' },
+  { attribute: 'minimumDuolingoScore', label: 'Minimum Duolingo', value: fieldValue('minimumDuolingoScore'), best: 'lowest' },
+  { attribute: 'greRequired', label: 'GRE required', value: fieldValue('greRequired'), best: 'false' },
+  { attribute: 'gmatRequired', label: 'GMAT required', value: fieldValue('gmatRequired'), best: 'false' },
+  { attribute: 'internationalApplicationDeadline', label: 'International deadline', value: fieldValue('internationalApplicationDeadline'), best: 'latest' },
+  { attribute: 'domesticApplicationDeadline', label: 'Domestic deadline', value: fieldValue('domesticApplicationDeadline'), best: 'latest' },
+  { attribute: 'ftRanking2024', label: 'FT ranking 2024', value: fieldValue('ftRanking2024'), best: 'lowest' },
+  { attribute: 'acceptanceRate', label: 'Acceptance rate (%)', value: fieldValue('acceptanceRate'), best: 'highest' }
+];
+
+const isKnown = value => value !== undefined && value !== null && value !== '';
+
+// The winning value among the known ones, or undefined when there is no
+// preference or nothing to compare
+const pickBest = (values, best) => {
+  const known = values.filter(isKnown);
+  if (!best || known.length === 0) return undefined;
+
+  switch (best) {
+    case 'lowest':
+      return Math.min(...known);
+    case 'highest':
+      return Math.max(...known);
+    case 'false':
+      return known.includes(false) ? false : undefined;
+    case 'latest':
+      // Deadlines are YYYY-MM-DD strings, which sort chronologically
+      return [...known].sort().pop();
+    default:
+      return undefined;
+  }
+};
+
+// Build the comparison table for courses in display order. Each row holds
+// the value of every course, whether they differ and which courses are best;
+// no course is best when all known values are equal.
+const compareCourses = (courses, display) => {
+  const rows = COMPARISON_ROWS.map((row) => {
+    const values = courses.map(course => {
+      const value = row.value(course, display);
+      return isKnown(value) ? value : null;
+    });
+
+    const distinct = new Set(values.map(value => JSON.stringify(value)));
+    const differs = distinct.size > 1;
+    const bestValue = differs ? pickBest(values, row.best) : undefined;
+
+    return {
+      attribute: row.attribute,
+      label: row.label,
+      values,
+      differs,
+      best: bestValue === undefined
+        ? []
+        : courses.filter((course, index) => values[index] === bestValue).map(course => course.uniqueId)
+    };
+  });
+
+  return {
+    currency: display.currency,
+    courses: courses.map(course => ({
+      id: course._id,
+      uniqueId: course.uniqueId,
+      courseName: course.courseName,
+      universityName: course.universityName,
+      courseLevel: course.courseLevel,
+      tuitionFeeCurrency: course.tuitionFeeCurrency,
+      status: course.status || 'active'
+    })),
+    rows
+  };
+};
+
+module.exports = {
+  COMPARISON_ROWS,
+  compareCourses
+};
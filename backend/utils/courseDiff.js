@@ -0,0 +1,54 @@
+// Fields managed by MongoDB/Mongoose that never count as a content change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Reduce a value to a comparable form (dates, ObjectIds and arrays included)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+};
+
+const isEqual = (a, b) => {
+  return JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+};
+
+// Compare a stored course against incoming field values.
+// Only fields present (and defined) in `updates` are compared, mirroring how
+// an update leaves untouched fields alone. Returns [{ field, from, to }].
+const diffCourse = (existing = {}, updates = {}) => {
+  const changes = [];
+
+  Object.keys(updates).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field) || updates[field] === undefined) return;
+
+    const from = existing[field];
+    const to = updates[field];
+
+    if (!isEqual(from, to)) {
+      changes.push({
+        field,
+        from: from === undefined ? null : from,
+        to
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Drop undefined values so they don't overwrite stored fields
+const definedFields = (data) => {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined)
+  );
+};
+
+module.exports = {
+  isEqual,
+  diffCourse,
+  definedFields
+};
@@ -0,0 +1,75 @@
+const { once } = require('events');
+const Course = require('../models/Course');
+const { DEFAULT_DELIMITERS, getCourseFields } = require('./courseMapping');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const escapeCsvValue = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format a field for CSV the way the importer parses it back
+const toCsvValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return escapeCsvValue(value.join(DEFAULT_DELIMITERS[field] || ';'));
+  if (value instanceof Date) return value.toISOString();
+  return escapeCsvValue(value);
+};
+
+const toExportRecord = (course, fields) => {
+  const record = {};
+  fields.forEach((field) => {
+    if (course[field] !== undefined) record[field] = course[field];
+  });
+  return record;
+};
+
+// Write a chunk, waiting for the client to drain the buffer when it is full
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+};
+
+// Stream every course matching `filter` to the response in the given format.
+// Documents are read through a cursor so the result set is never held in memory.
+const streamCourses = async (res, filter, format) => {
+  // Exported columns use the Course field names, which the importer accepts as-is
+  const fields = getCourseFields();
+  const cursor = Course.find(filter).sort({ uniqueId: 1 }).lean().cursor();
+
+  if (format === 'csv') {
+    await write(res, `${fields.join(',')}\n`);
+  } else if (format === 'json') {
+    await write(res, '[');
+  }
+
+  let count = 0;
+  for await (const course of cursor) {
+    if (format === 'csv') {
+      await write(res, `${fields.map(field => toCsvValue(field, course[field])).join(',')}\n`);
+    } else if (format === 'json') {
+      await write(res, `${count > 0 ? ',' : ''}\n${JSON.stringify(toExportRecord(course, fields))}`);
+    } else {
+      await write(res, `${JSON.stringify(toExportRecord(course, fields))}\n`);
+    }
+    count++;
+  }
+
+  if (format === 'json') {
+    await write(res, '\n]\n');
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamCourses
+};
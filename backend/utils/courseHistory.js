@@ -0,0 +1,280 @@
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const redisClient = require('./redis');
+const { isEqual, diffCourse } = require('./courseDiff');
+const { getTrackedFields } = require('./courseMapping');
+const { buildSearchGrams, touchesSearchFields } = require('./searchText');
+const { getExchangeRates, buildBaseTuition, touchesTuitionFields } = require('./currency');
+const { buildDeadlineDates, touchesDeadlineFields } = require('./deadlines');
+
+// Revisions reverted per bulkWrite when rolling back an import job
+const ROLLBACK_BATCH_SIZE = 500;
+
+// Plain copy of the tracked course fields, skipping unset ones
+const snapshotCourse = (course) => {
+  const data = typeof course.toObject === 'function' ? course.toObject() : course;
+  const snapshot = {};
+
+  getTrackedFields().forEach((field) => {
+    if (data[field] !== undefined && data[field] !== null) {
+      snapshot[field] = data[field];
+    }
+  });
+
+  return snapshot;
+};
+
+// Apply field changes to a snapshot; null values remove the field
+const applyChanges = (snapshot, changes, direction = 'to') => {
+  const result = { ...snapshot };
+
+  changes.forEach((change) => {
+    const value = change[direction];
+    if (value === undefined || value === null) {
+      delete result[change.field];
+    } else {
+      result[change.field] = value;
+    }
+  });
+
+  return result;
+};
+
+// Swap from/to so the changes describe undoing a revision
+const reverseChanges = (changes) => {
+  return changes.map(({ field, from, to }) => ({ field, from: to, to: from }));
+};
+
+// Store the revisions of a batch of writes. A failed insert is thrown, so an
+// import or rollback fails loudly rather than finishing with changes that have
+// no revision to undo them.
+const recordRevisions = async (revisions) => {
+  if (revisions.length === 0) return;
+
+  await CourseRevision.insertMany(revisions, { ordered: false });
+};
+
+// Store the revision of a single course write, then make the write. The write
+// is never made without its revision, and a failed write removes the revision
+// again. Returns what the write returns.
+const writeWithRevision = async (revision, write) => {
+  const stored = await CourseRevision.create(revision);
+
+  try {
+    return await write();
+  } catch (error) {
+    await CourseRevision.deleteOne({ _id: stored._id }).catch((cleanupError) => {
+      console.error('Course revision cleanup error:', cleanupError);
+    });
+    throw error;
+  }
+};
+
+// Build the MongoDB filter for revisions of a course given a uniqueId or _id
+const revisionFilterFor = (course) => {
+  const filter = [{ uniqueId: course.uniqueId }];
+  if (course._id) filter.push({ course: course._id });
+  return { $or: filter };
+};
+
+// Restore a course to the state recorded by `revision`. The course is
+// recreated if it has been deleted since. Returns the restored course.
+const rollbackCourse = async (revision, admin) => {
+  if (revision.action === 'delete') {
+    throw new Error('Cannot roll back to a delete revision; choose an earlier revision');
+  }
+
+  const target = {};
+  getTrackedFields().forEach((field) => {
+    target[field] = revision.snapshot[field] === undefined ? null : revision.snapshot[field];
+  });
+
+  let course = await Course.findOne({ uniqueId: revision.uniqueId });
+  let action = 'update';
+  let changes;
+
+  if (course) {
+    changes = diffCourse(course.toObject(), target);
+    changes.forEach(({ field, to }) => {
+      course.set(field, to === null ? undefined : to);
+    });
+  } else {
+    action = 'create';
+    course = new Course({ _id: revision.course, ...revision.snapshot });
+    changes = diffCourse({}, revision.snapshot);
+  }
+
+  await writeWithRevision({
+    course: course._id,
+    uniqueId: course.uniqueId,
+    action,
+    source: 'rollback',
+    rollbackOf: revision._id,
+    admin: admin ? admin._id : null,
+    changes,
+    snapshot: snapshotCourse(course)
+  }, () => course.save());
+
+  await redisClient.invalidateCourseCache();
+
+  return course;
+};
+
+// Every tracked field of a snapshot, with null for fields it leaves unset
+const trackedValues = (snapshot) => {
+  return Object.fromEntries(getTrackedFields().map(field => [field, snapshot[field] === undefined ? null : snapshot[field]]));
+};
+
+// Build the write and revision that undo one upload revision, given the
+// course as it is now (null when it no longer exists). Changes made to the
+// course after the import are kept and reported as conflicts. Returns
+// { op, revision, course, conflicts }; op is null when nothing is undone and
+// course is the course as the undo leaves it.
+const buildUndo = (revision, admin, rates, current) => {
+  const base = {
+    course: revision.course,
+    uniqueId: revision.uniqueId,
+    source: 'rollback',
+    importJob: revision.importJob,
+    rollbackOf: revision._id,
+    admin: admin ? admin._id : null
+  };
+  const conflict = (reason, fields) => ({ uniqueId: revision.uniqueId, revision: revision._id, reason, fields });
+
+  if (!current) {
+    return { op: null, course: null, conflicts: [conflict('Course no longer exists', [])] };
+  }
+
+  // Courses created by the upload are removed again, unless they were edited
+  // since
+  if (revision.action === 'create') {
+    const edited = diffCourse(current, trackedValues(revision.snapshot)).map(change => change.field);
+    if (edited.length > 0) {
+      return { op: null, course: current, conflicts: [conflict('Course was changed after the import and was not deleted', edited)] };
+    }
+
+    return {
+      op: { deleteOne: { filter: { _id: current._id } } },
+      revision: { ...base, action: 'delete', changes: [], snapshot: revision.snapshot },
+      course: null,
+      conflicts: []
+    };
+  }
+
+  // Updated courses get their previous values back, for fields that still
+  // hold what the upload wrote
+  const undone = revision.changes.filter(({ field, to }) => isEqual(current[field], to));
+  const kept = revision.changes.filter(change => !undone.includes(change)).map(change => change.field);
+  const conflicts = kept.length > 0 ? [conflict('Fields changed after the import were left as they are', kept)] : [];
+
+  if (undone.length === 0) {
+    return { op: null, course: current, conflicts };
+  }
+
+  const $set = {};
+  const $unset = {};
+  undone.forEach(({ field, from }) => {
+    if (from === undefined || from === null) {
+      $unset[field] = 1;
+    } else {
+      $set[field] = from;
+    }
+  });
+
+  const course = applyChanges(current, undone, 'from');
+  if (touchesSearchFields(undone)) {
+    $set.searchGrams = buildSearchGrams(course);
+  }
+  if (touchesTuitionFields(undone)) {
+    Object.assign($set, buildBaseTuition(course, rates));
+  }
+  if (touchesDeadlineFields(undone)) {
+    Object.assign($set, buildDeadlineDates(course));
+  }
+  Object.assign(course, $set);
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+  return {
+    op: { updateOne: { filter: { _id: current._id }, update } },
+    revision: {
+      ...base,
+      action: 'update',
+      changes: reverseChanges(undone),
+      snapshot: snapshotCourse(course)
+    },
+    course,
+    conflicts
+  };
+};
+
+// Undo a batch of revisions, newest first. Revisions of the same course are
+// checked against the state the newer ones leave, and written in order.
+const undoRevisions = async (revisions, admin, rates) => {
+  const uniqueIds = [...new Set(revisions.map(revision => revision.uniqueId))];
+  const courses = await Course.find({ uniqueId: { $in: uniqueIds } }).lean();
+  const current = new Map(courses.map(course => [course.uniqueId, course]));
+
+  const undo = [];
+  const conflicts = [];
+  revisions.forEach((revision) => {
+    const item = buildUndo(revision, admin, rates, current.get(revision.uniqueId) || null);
+    conflicts.push(...item.conflicts);
+    current.set(revision.uniqueId, item.course);
+    if (item.op) undo.push(item);
+  });
+
+  if (undo.length > 0) {
+    await Course.bulkWrite(undo.map(item => item.op), { ordered: true });
+    await recordRevisions(undo.map(item => item.revision));
+  }
+
+  return { reverted: undo.length, conflicts };
+};
+
+// Undo every change an upload job made, newest first, in batches. Fields
+// edited since the import are left alone. Returns the number of course
+// changes reverted and the conflicts that were skipped.
+const rollbackImportJob = async (job, admin) => {
+  const cursor = CourseRevision.find({ importJob: job._id, source: 'upload' })
+    .sort({ _id: -1 })
+    .lean()
+    .cursor();
+
+  const rates = await getExchangeRates();
+  let pending = [];
+  let reverted = 0;
+  const conflicts = [];
+
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const result = await undoRevisions(pending, admin, rates);
+    reverted += result.reverted;
+    conflicts.push(...result.conflicts);
+    pending = [];
+  };
+
+  for await (const revision of cursor) {
+    pending.push(revision);
+    if (pending.length >= ROLLBACK_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  await redisClient.invalidateCourseCache();
+
+  return { reverted, conflicts };
+};
+
+module.exports = {
+  snapshotCourse,
+  applyChanges,
+  writeWithRevision,
+  recordRevisions,
+  revisionFilterFor,
+  rollbackCourse,
+  rollbackImportJob
+};
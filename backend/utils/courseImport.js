@@ -0,0 +1,436 @@
+const fs = require('fs');
+const Course = require('../models/Course');
+const ImportJob = require('../models/ImportJob');
+const MappingProfile = require('../models/MappingProfile');
+const redisClient = require('./redis');
+const { diffCourse, definedFields } = require('./courseDiff');
+const { createRowMapper } = require('./courseMapping');
+const { ACTIVE_COURSE_FILTER } = require('./courseQuery');
+const { readRows, RowParseError } = require('./importReaders');
+const { snapshotCourse, applyChanges, recordRevisions } = require('./courseHistory');
+const { buildSearchGrams, touchesSearchFields } = require('./searchText');
+const { getExchangeRates, buildBaseTuition, touchesTuitionFields } = require('./currency');
+const { buildDeadlineDates, findInvalidDeadlines, touchesDeadlineFields } = require('./deadlines');
+
+// Rows validated and written per bulkWrite; job progress is saved per batch
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 500;
+
+// Processing jobs without a heartbeat for this long were interrupted
+const JOB_LEASE_MS = (parseFloat(process.env.IMPORT_JOB_LEASE_MINUTES) || 5) * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = JOB_LEASE_MS / 5;
+
+// Validate mapped row data with the Course schema validators.
+// For existing courses the stored values fill in fields the row leaves out,
+// just as an update would.
+const validateCourseData = async (courseData, existingCourse) => {
+  const merged = existingCourse
+    ? { ...existingCourse.toObject(), ...definedFields(courseData) }
+    : courseData;
+
+  await new Course(merged).validate();
+};
+
+// Load the stored versions of every course in a batch with a single query
+const loadExistingCourses = async (batch) => {
+  const uniqueIds = batch.map(item => item.courseData.uniqueId);
+  const courses = await Course.find({ uniqueId: { $in: uniqueIds } });
+  return new Map(courses.map(course => [course.uniqueId, course]));
+};
+
+// Record the outcome of a row on the job counters
+const countAction = (job, action) => {
+  if (action === 'create') job.createdRows++;
+  if (action === 'update') job.updatedRows++;
+  if (action === 'unchanged') job.unchangedRows++;
+  job.successfulRows++;
+};
+
+// Work out what importing each row would do: validate it against the Course
+// schema and compare it with the stored document. Each row gets an action of
+// 'create', 'update', 'unchanged' or 'reject' (with the validation error).
+// `simulated` holds the data of courses as earlier dry-run rows would have
+// left them.
+const planBatch = async (batch, simulated = new Map()) => {
+  const existingCourses = await loadExistingCourses(batch);
+  const planned = [];
+
+  for (const item of batch) {
+    const { uniqueId } = item.courseData;
+    const existingCourse = simulated.has(uniqueId)
+      ? new Course(simulated.get(uniqueId))
+      : existingCourses.get(uniqueId);
+
+    try {
+      await validateCourseData(item.courseData, existingCourse);
+    } catch (error) {
+      planned.push({ ...item, action: 'reject', changes: [], error: error.message });
+      continue;
+    }
+
+    const changes = existingCourse ? diffCourse(existingCourse.toObject(), item.courseData) : [];
+    let action = 'create';
+    if (existingCourse) {
+      action = changes.length > 0 ? 'update' : 'unchanged';
+    }
+
+    planned.push({ ...item, action, changes, existingCourse });
+  }
+
+  return planned;
+};
+
+// Split a batch into rounds holding each uniqueId at most once, keeping file
+// order. A file that repeats a course has the later row planned (and
+// written) after the earlier one, so it is diffed against what that row
+// stored rather than planned as a second create.
+const splitRepeatedRows = (batch) => {
+  const rounds = [];
+  const seen = new Map();
+
+  batch.forEach((item) => {
+    const round = seen.get(item.courseData.uniqueId) || 0;
+    seen.set(item.courseData.uniqueId, round + 1);
+    if (!rounds[round]) rounds[round] = [];
+    rounds[round].push(item);
+  });
+
+  return rounds;
+};
+
+// Build the bulkWrite upsert for a planned row. New courses get every mapped
+// field; existing ones only the fields that changed. bulkWrite skips the save
+// middleware, so the search trigrams, base currency tuition and deadline dates
+// are refreshed here.
+const buildUpsert = ({ courseData, action, changes, existingCourse }, rates) => {
+  const update = action === 'create'
+    ? definedFields(courseData)
+    : Object.fromEntries(changes.map(change => [change.field, change.to]));
+  const course = action === 'create' ? courseData : { ...existingCourse.toObject(), ...update };
+
+  if (action === 'create' || touchesSearchFields(changes)) {
+    update.searchGrams = buildSearchGrams(course);
+  }
+  if (action === 'create' || touchesTuitionFields(changes)) {
+    Object.assign(update, buildBaseTuition(course, rates));
+  }
+  if (action === 'create' || touchesDeadlineFields(changes)) {
+    Object.assign(update, buildDeadlineDates(course));
+  }
+
+  return {
+    updateOne: {
+      filter: { uniqueId: courseData.uniqueId },
+      update: { $set: update },
+      upsert: true
+    }
+  };
+};
+
+// Describe a written row for the course history
+const buildUploadRevision = (job, { courseData, action, changes, existingCourse }, upsertedId) => {
+  const revision = {
+    course: upsertedId || (existingCourse ? existingCourse._id : null),
+    uniqueId: courseData.uniqueId,
+    action: upsertedId ? 'create' : 'update',
+    source: 'upload',
+    importJob: job._id,
+    admin: job.createdBy
+  };
+
+  if (action === 'create') {
+    const snapshot = definedFields(courseData);
+    // When another request created the course first its earlier values are
+    // unknown, so the revision records no changes a rollback could undo
+    return { ...revision, changes: upsertedId ? diffCourse({}, snapshot) : [], snapshot };
+  }
+
+  return {
+    ...revision,
+    changes,
+    snapshot: applyChanges(snapshotCourse(existingCourse), changes)
+  };
+};
+
+// Write planned rows with one unordered bulkWrite and record the outcome and
+// history revision of each row. Unchanged rows are counted without being written.
+const writeBatch = async (job, planned) => {
+  const writes = [];
+  planned.forEach((item) => {
+    if (item.action === 'unchanged') {
+      countAction(job, 'unchanged');
+    } else {
+      writes.push(item);
+    }
+  });
+
+  if (writes.length === 0) return;
+
+  let result;
+  let writeErrors = [];
+  try {
+    const rates = await getExchangeRates();
+    result = await Course.bulkWrite(writes.map(item => buildUpsert(item, rates)), { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    result = error.result;
+    writeErrors = error.writeErrors;
+  }
+
+  const upsertedIds = result.upsertedIds || {};
+  const errorsByIndex = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+  const revisions = [];
+
+  writes.forEach((item, index) => {
+    const writeError = errorsByIndex.get(index);
+    if (writeError) {
+      job.addRowError(item.rowNumber, writeError.errmsg, item.row);
+      return;
+    }
+
+    // A row planned as a create may match a course another request created
+    // in the meantime; that counts as an update.
+    const created = upsertedIds[index] !== undefined;
+    countAction(job, created ? 'create' : 'update');
+    revisions.push(buildUploadRevision(job, item, created ? upsertedIds[index] : null));
+  });
+
+  await recordRevisions(revisions);
+};
+
+// Archive active courses of the universities in the file whose uniqueId did
+// not appear in it. Dry runs only record which courses would be archived.
+const archiveMissingCourses = async (job, seenIds, universityCodes) => {
+  const cursor = Course.find({
+    ...ACTIVE_COURSE_FILTER,
+    universityCode: { $in: [...universityCodes] }
+  }).cursor();
+
+  const archivedAt = new Date();
+  const archiveReason = `Missing from import of ${job.originalFilename}`;
+  let missing = [];
+
+  const flush = async () => {
+    if (missing.length === 0 || job.dryRun) return;
+
+    await Course.bulkWrite(missing.map(course => ({
+      updateOne: {
+        filter: { _id: course._id },
+        update: { $set: { status: 'archived', archivedAt, archiveReason } }
+      }
+    })), { ordered: false });
+
+    await recordRevisions(missing.map((course) => {
+      const changes = diffCourse(course.toObject(), { status: 'archived', archivedAt, archiveReason });
+      return {
+        course: course._id,
+        uniqueId: course.uniqueId,
+        action: 'update',
+        source: 'upload',
+        importJob: job._id,
+        admin: job.createdBy,
+        changes,
+        snapshot: applyChanges(snapshotCourse(course), changes)
+      };
+    }));
+  };
+
+  for await (const course of cursor) {
+    if (seenIds.has(course.uniqueId)) continue;
+
+    job.archivedCourses++;
+    if (job.dryRun) {
+      job.addPreviewRow({ uniqueId: course.uniqueId, action: 'archive' });
+    }
+
+    missing.push(course);
+    if (missing.length >= BATCH_SIZE) {
+      await flush();
+      missing = [];
+    }
+  }
+
+  await flush();
+};
+
+// Report deadlines of accepted rows that cannot be read as dates; the row is
+// still imported, without a deadline date
+const reportInvalidDeadlines = (job, planned) => {
+  planned
+    .filter(item => item.action !== 'reject')
+    .forEach(({ rowNumber, courseData }) => {
+      findInvalidDeadlines(courseData).forEach(({ field, value }) => {
+        job.addRowWarning({
+          row: rowNumber,
+          uniqueId: courseData.uniqueId,
+          field,
+          value,
+          warning: `${field} is not a recognised date`
+        });
+      });
+    });
+};
+
+// Validate a batch of mapped rows and either write it or record a preview.
+// Dry runs keep the data each accepted row would have stored in `simulated`,
+// shared by every batch of the job, so a course repeated later in the file is
+// planned against it just as a real import plans against the written row.
+const processBatch = async (job, batch, simulated) => {
+  for (const round of splitRepeatedRows(batch)) {
+    const planned = await planBatch(round, simulated);
+    reportInvalidDeadlines(job, planned);
+
+    if (job.dryRun) {
+      planned.forEach(({ row, rowNumber, courseData, action, changes, error, existingCourse }) => {
+        job.addPreviewRow({ row: rowNumber, uniqueId: courseData.uniqueId, action, changes, error });
+        if (action === 'reject') {
+          job.addRowError(rowNumber, error, row);
+        } else {
+          countAction(job, action);
+          simulated.set(courseData.uniqueId, {
+            ...(existingCourse ? existingCourse.toObject() : {}),
+            ...definedFields(courseData)
+          });
+        }
+      });
+    } else {
+      planned
+        .filter(item => item.action === 'reject')
+        .forEach(item => job.addRowError(item.rowNumber, item.error, item.row));
+      await writeBatch(job, planned.filter(item => item.action !== 'reject'));
+    }
+  }
+
+  job.processedRows += batch.length;
+  job.heartbeatAt = new Date();
+  await job.save();
+};
+
+// Clean up an uploaded file
+const removeUpload = (filePath) => {
+  fs.unlink(filePath, (error) => {
+    if (error && error.code !== 'ENOENT') console.error('Upload cleanup error:', error);
+  });
+};
+
+// Process an uploaded CSV, JSON, NDJSON or XLSX file for the given import job.
+// Rows are streamed from the file, validated and flushed to MongoDB in
+// batches of BATCH_SIZE; all progress and failures are recorded on the job.
+// Dry-run jobs validate every row and record a preview but write nothing.
+// Returns null when the job is no longer queued, e.g. because another server
+// claimed it first.
+const processImportJob = async (jobId) => {
+  const now = new Date();
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'processing', startedAt: now, heartbeatAt: now } },
+    { new: true }
+  );
+  if (!job) {
+    if (!(await ImportJob.exists({ _id: jobId }))) {
+      throw new Error(`Import job ${jobId} not found`);
+    }
+    return null;
+  }
+
+  // Keep the heartbeat fresh through slow batches
+  const heartbeat = setInterval(() => {
+    ImportJob.updateOne({ _id: job._id, status: 'processing' }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => console.error(`Import job ${jobId} heartbeat error:`, error));
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    let profile = null;
+    if (job.mappingProfile) {
+      profile = await MappingProfile.findById(job.mappingProfile);
+      if (!profile) {
+        throw new Error('Mapping profile no longer exists');
+      }
+    }
+    const mapRow = createRowMapper(profile);
+
+    const rows = readRows(job.filePath, job.format, { sheet: job.sheet });
+    let batch = [];
+    let rowNumber = 0;
+    const seenIds = new Set();
+    const universityCodes = new Set();
+    const simulated = new Map();
+
+    for await (const row of rows) {
+      rowNumber++;
+
+      if (row instanceof RowParseError) {
+        job.addRowError(rowNumber, row.message, row.data);
+        job.processedRows++;
+        continue;
+      }
+
+      const courseData = mapRow(row, rowNumber);
+      batch.push({ row, rowNumber, courseData });
+      seenIds.add(courseData.uniqueId);
+      if (courseData.universityCode) universityCodes.add(courseData.universityCode);
+
+      if (batch.length >= BATCH_SIZE) {
+        await processBatch(job, batch, simulated);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await processBatch(job, batch, simulated);
+    }
+
+    if (job.archiveMissing && universityCodes.size > 0) {
+      await archiveMissingCourses(job, seenIds, universityCodes);
+    }
+
+    job.totalRows = job.processedRows;
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Import job ${jobId} failed:`, error);
+    job.status = 'failed';
+    job.failureReason = error.message;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+
+  // Invalidate cache after upload
+  if (!job.dryRun) {
+    await redisClient.invalidateCourseCache();
+  }
+
+  removeUpload(job.filePath);
+
+  return job;
+};
+
+// Queue an import job to run after the current request has been answered
+const enqueueImportJob = (jobId) => {
+  setImmediate(() => {
+    processImportJob(jobId).catch((error) => {
+      console.error('Import job error:', error);
+    });
+  });
+};
+
+// Recover jobs left behind by a stopped server: processing jobs whose
+// heartbeat has expired are failed and their files removed, and queued jobs
+// are queued again
+const recoverImportJobs = async () => {
+  const failed = await ImportJob.failStaleJobs(new Date(Date.now() - JOB_LEASE_MS));
+  failed.forEach(job => removeUpload(job.filePath));
+
+  const queued = await ImportJob.find({ status: 'queued' }).select('_id').sort({ createdAt: 1 });
+  queued.forEach(job => enqueueImportJob(job._id));
+
+  return { failed: failed.length, requeued: queued.length };
+};
+
+module.exports = {
+  processImportJob,
+  enqueueImportJob,
+  recoverImportJobs
+};
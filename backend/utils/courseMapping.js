@@ -0,0 +1,213 @@
+const Course = require('../models/Course');
+
+// Fields never populated from an import file
+const INTERNAL_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Archive state is changed through the archive endpoints only, but is kept
+// in the course history
+const LIFECYCLE_FIELDS = ['status', 'archivedAt', 'archiveReason'];
+
+// Computed from other course fields on write, or from student events
+const DERIVED_FIELDS = [
+  'searchGrams',
+  'baseTuitionFee',
+  'baseTotalTuitionFee',
+  'domesticDeadlineDate',
+  'internationalDeadlineDate',
+  'popularityScore'
+];
+
+// Default split delimiters for array fields, matching the built-in mapping
+const DEFAULT_DELIMITERS = {
+  prerequisites: ';',
+  learningOutcomes: ';',
+  assessmentMethods: ';',
+  keywords: ','
+};
+
+const isCourseField = (field) => {
+  return !INTERNAL_FIELDS.includes(field) &&
+    !LIFECYCLE_FIELDS.includes(field) &&
+    !DERIVED_FIELDS.includes(field) &&
+    !!Course.schema.path(field);
+};
+
+// Every course field that can be imported, exported or edited, in schema order
+const getCourseFields = () => {
+  return Object.keys(Course.schema.paths).filter(isCourseField);
+};
+
+// Course fields recorded in the revision history
+const getTrackedFields = () => {
+  return [...getCourseFields(), ...LIFECYCLE_FIELDS];
+};
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+};
+
+// Split a delimited column into a trimmed list; JSON/XLSX may already give an array
+const toList = (value, delimiter) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim());
+  return value ? String(value).split(delimiter).map(item => item.trim()) : [];
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Transform CSV data to match our schema
+const mapRowToCourse = (row, rowNumber) => {
+  return {
+    uniqueId: row.uniqueId || row.course_id || `course_${Date.now()}_${rowNumber}`,
+    courseName: row.courseName || row.title || row.name,
+    courseCode: row.courseCode || row.code,
+    universityCode: row.universityCode || row.university_code,
+    universityName: row.universityName || row.university_name,
+    departmentSchool: row.departmentSchool || row.department || row.school,
+    disciplineMajor: row.disciplineMajor || row.discipline || row.major,
+    specialization: row.specialization,
+    courseLevel: row.courseLevel || row.level || 'Undergraduate',
+    overviewDescription: row.overviewDescription || row.description,
+    summary: row.summary || row.overviewDescription || row.description,
+    prerequisites: toList(row.prerequisites, ';'),
+    learningOutcomes: toList(row.learningOutcomes, ';'),
+    teachingMethodology: row.teachingMethodology || row.methodology || 'Not specified',
+    assessmentMethods: toList(row.assessmentMethods, ';'),
+    credits: parseInt(row.credits) || 0,
+    durationMonths: parseInt(row.durationMonths) || parseInt(row.duration) || 12,
+    languageOfInstruction: row.languageOfInstruction || row.language || 'English',
+    syllabusUrl: row.syllabusUrl || row.syllabus_url,
+    keywords: toList(row.keywords, ','),
+    professorName: row.professorName || row.instructor,
+    professorEmail: row.professorEmail || row.instructor_email,
+    officeLocation: row.officeLocation,
+    openForIntake: row.openForIntake,
+    admissionOpenYears: row.admissionOpenYears || '2024',
+    attendanceType: row.attendanceType || row.attendance || 'Full-time',
+    firstYearTuitionFee: parseFloat(row.firstYearTuitionFee) || parseFloat(row.tuition) || 0,
+    totalTuitionFee: parseFloat(row.totalTuitionFee) || parseFloat(row.tuition) || 0,
+    tuitionFeeCurrency: row.tuitionFeeCurrency || row.currency || 'USD',
+    applicationFeeAmount: parseFloat(row.applicationFeeAmount) || 0,
+    applicationFeeCurrency: row.applicationFeeCurrency || 'USD',
+    applicationFeeWaived: isTrue(row.applicationFeeWaived),
+    requiredApplicationMaterials: row.requiredApplicationMaterials || 'Standard application materials',
+    twelfthGradeRequirement: row.twelfthGradeRequirement,
+    undergraduateDegreeRequirement: row.undergraduateDegreeRequirement,
+    minimumIELTSScore: row.minimumIELTSScore ? parseFloat(row.minimumIELTSScore) : undefined,
+    minimumTOEFLScore: row.minimumTOEFLScore ? parseFloat(row.minimumTOEFLScore) : undefined,
+    minimumPTEScore: row.minimumPTEScore ? parseFloat(row.minimumPTEScore) : undefined,
+    minimumDuolingoScore: row.minimumDuolingoScore ? parseFloat(row.minimumDuolingoScore) : undefined,
+    minimumCambridgeEnglishScore: row.minimumCambridgeEnglishScore,
+    otherEnglishTestsAccepted: row.otherEnglishTestsAccepted,
+    greRequired: isTrue(row.greRequired),
+    greScore: row.greScore,
+    gmatRequired: isTrue(row.gmatRequired),
+    gmatScore: row.gmatScore,
+    satRequired: isTrue(row.satRequired),
+    satScore: row.satScore,
+    actRequired: isTrue(row.actRequired),
+    actScore: row.actScore,
+    waiverOptions: row.waiverOptions,
+    partnerCourse: isTrue(row.partnerCourse),
+    ftRanking2024: row.ftRanking2024 ? parseInt(row.ftRanking2024) : undefined,
+    acceptanceRate: row.acceptanceRate ? parseFloat(row.acceptanceRate) : undefined,
+    domesticApplicationDeadline: row.domesticApplicationDeadline || '2024-12-31',
+    internationalApplicationDeadline: row.internationalApplicationDeadline || '2024-12-31',
+    courseUrl: row.courseUrl || row.url || '#'
+  };
+};
+
+// Convert a raw column value to the type of the target Course field.
+// Values that cannot be converted are passed through unchanged so that the
+// Course schema validators reject the row with a cast error.
+const coerceValue = (field, value, options) => {
+  const schemaType = Course.schema.path(field).instance;
+
+  if (schemaType === 'Array') {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    const delimiter = options.delimiters[field] || DEFAULT_DELIMITERS[field] || ';';
+    return String(value).split(delimiter).map(item => item.trim()).filter(Boolean);
+  }
+
+  if (schemaType === 'Number') {
+    if (typeof value === 'number') return value;
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? value : number;
+  }
+
+  if (schemaType === 'Boolean') {
+    if (typeof value === 'boolean') return value;
+    const normalized = String(value).trim().toLowerCase();
+    if (options.booleanTrueValues.includes(normalized)) return true;
+    if (options.booleanFalseValues.includes(normalized)) return false;
+    return value;
+  }
+
+  if (schemaType === 'String') {
+    return String(value).trim();
+  }
+
+  return value;
+};
+
+// Build a row mapper from a mapping profile. Only the profile's column
+// mappings, defaults and (optionally) columns already named after a course
+// field are used; the built-in aliases do not apply.
+const createProfileMapper = (profile) => {
+  const options = {
+    delimiters: Object.fromEntries(profile.delimiters || []),
+    booleanTrueValues: (profile.booleanTrueValues || []).map(v => v.toLowerCase()),
+    booleanFalseValues: (profile.booleanFalseValues || []).map(v => v.toLowerCase())
+  };
+  const defaults = profile.defaults || {};
+
+  return (row, rowNumber) => {
+    const rawData = {};
+
+    if (profile.passthroughMatchingColumns) {
+      Object.keys(row).forEach((column) => {
+        if (isCourseField(column) && !isEmpty(row[column])) {
+          rawData[column] = row[column];
+        }
+      });
+    }
+
+    // Explicit mappings win over passthrough; the first non-empty source wins
+    const mapped = new Set();
+    profile.columns.forEach(({ source, field }) => {
+      if (mapped.has(field) || isEmpty(row[source])) return;
+      rawData[field] = row[source];
+      mapped.add(field);
+    });
+
+    Object.keys(defaults).forEach((field) => {
+      if (isEmpty(rawData[field])) {
+        rawData[field] = defaults[field];
+      }
+    });
+
+    const courseData = {};
+    Object.keys(rawData).forEach((field) => {
+      courseData[field] = coerceValue(field, rawData[field], options);
+    });
+
+    if (!courseData.uniqueId) {
+      courseData.uniqueId = `course_${Date.now()}_${rowNumber}`;
+    }
+
+    return courseData;
+  };
+};
+
+// Pick the mapper for an import: a stored profile or the built-in aliases
+const createRowMapper = (profile) => {
+  return profile ? createProfileMapper(profile) : mapRowToCourse;
+};
+
+module.exports = {
+  DEFAULT_DELIMITERS,
+  isCourseField,
+  getCourseFields,
+  getTrackedFields,
+  mapRowToCourse,
+  createRowMapper
+};
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { convertToBase } = require('./currency');
+
+// Matches courses that are not archived or discontinued. Courses stored
+// before the status field existed count as active.
+const ACTIVE_COURSE_FILTER = { status: { $nin: ['archived', 'discontinued'] } };
+
+// Add a { $gte, $lte } range on `field` when either bound is given.
+// `convert` maps each bound, e.g. into the base currency.
+const addRange = (searchQuery, field, min, max, convert = value => value) => {
+  if (min === undefined && max === undefined) return;
+
+  searchQuery[field] = {};
+  if (min !== undefined) searchQuery[field].$gte = convert(parseFloat(min));
+  if (max !== undefined) searchQuery[field].$lte = convert(parseFloat(max));
+};
+
+// English test minimums the student's score must meet; courses without a
+// minimum for that test always qualify
+const ENGLISH_TEST_FILTERS = {
+  ieltsScore: 'minimumIELTSScore',
+  toeflScore: 'minimumTOEFLScore',
+  pteScore: 'minimumPTEScore',
+  duolingoScore: 'minimumDuolingoScore'
+};
+
+// Admission tests a student can ask to avoid
+const EXAM_REQUIREMENT_FILTERS = {
+  noGreRequired: 'greRequired',
+  noGmatRequired: 'gmatRequired',
+  noSatRequired: 'satRequired',
+  noActRequired: 'actRequired'
+};
+
+const isTrue = (value) => String(value) === 'true';
+
+// Build the MongoDB filter for course searches from request query parameters.
+// Shared by the listing and export endpoints so both accept the same filters.
+// Archived courses are left out unless includeArchived=true. With a display
+// currency ({ currency, rates }) tuition bounds are in that currency and
+// compared against the base currency tuition.
+const buildCourseFilter = (params = {}, display = null) => {
+  const {
+    query,
+    universityCode,
+    courseLevel,
+    disciplineMajor,
+    attendanceType,
+    languageOfInstruction,
+    minTuition,
+    maxTuition,
+    minTotalTuition,
+    maxTotalTuition,
+    minDuration,
+    maxDuration,
+    minCredits,
+    maxCredits,
+    minAcceptanceRate,
+    maxAcceptanceRate,
+    applicationFeeWaived,
+    partnerCourse,
+    deadlineAfter,
+    includeArchived
+  } = params;
+
+  const searchQuery = isTrue(includeArchived) ? {} : { ...ACTIVE_COURSE_FILTER };
+  const conditions = [];
+
+  if (query) {
+    searchQuery.$text = { $search: query };
+  }
+
+  if (universityCode) searchQuery.universityCode = universityCode;
+  if (courseLevel) searchQuery.courseLevel = courseLevel;
+  if (disciplineMajor) searchQuery.disciplineMajor = disciplineMajor;
+  if (attendanceType) searchQuery.attendanceType = attendanceType;
+  if (languageOfInstruction) searchQuery.languageOfInstruction = languageOfInstruction;
+
+  if (display) {
+    const toBase = amount => convertToBase(amount, display.currency, display.rates);
+    addRange(searchQuery, 'baseTuitionFee', minTuition, maxTuition, toBase);
+    addRange(searchQuery, 'baseTotalTuitionFee', minTotalTuition, maxTotalTuition, toBase);
+  } else {
+    addRange(searchQuery, 'firstYearTuitionFee', minTuition, maxTuition);
+    addRange(searchQuery, 'totalTuitionFee', minTotalTuition, maxTotalTuition);
+  }
+  addRange(searchQuery, 'durationMonths', minDuration, maxDuration);
+  addRange(searchQuery, 'credits', minCredits, maxCredits);
+  addRange(searchQuery, 'acceptanceRate', minAcceptanceRate, maxAcceptanceRate);
+
+  Object.entries(EXAM_REQUIREMENT_FILTERS).forEach(([param, field]) => {
+    if (isTrue(params[param])) searchQuery[field] = { $ne: true };
+  });
+
+  Object.entries(ENGLISH_TEST_FILTERS).forEach(([param, field]) => {
+    if (params[param] === undefined) return;
+    conditions.push({
+      $or: [{ [field]: { $lte: parseFloat(params[param]) } }, { [field]: null }]
+    });
+  });
+
+  if (isTrue(applicationFeeWaived)) searchQuery.applicationFeeWaived = true;
+  if (isTrue(partnerCourse)) searchQuery.partnerCourse = true;
+
+  // Compared on the parsed deadline date; unreadable deadlines never match
+  if (deadlineAfter) {
+    const after = new Date(deadlineAfter);
+    searchQuery.internationalDeadlineDate = {
+      $gt: new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate()))
+    };
+  }
+
+  if (conditions.length > 0) {
+    searchQuery.$and = conditions;
+  }
+
+  return searchQuery;
+};
+
+// Bucket boundaries for the tuition (first-year fee) and duration (months) facets
+const TUITION_BUCKETS = [0, 10000, 20000, 30000, 50000, 75000];
+const DURATION_BUCKETS = [0, 12, 24, 36, 48];
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Courses without a numeric value are left out rather than counted in the
+// open-ended bucket
+const bucketBy = (field, boundaries) => [
+  { $match: { [field]: { $type: 'number', $gte: boundaries[0] } } },
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries,
+      default: 'other',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+// Aggregation pipeline computing every facet for the courses matching `filter`
+const buildFacetPipeline = (filter) => [
+  { $match: filter },
+  {
+    $facet: {
+      courseLevel: countBy('$courseLevel'),
+      attendanceType: countBy('$attendanceType'),
+      university: [
+        {
+          $group: {
+            _id: '$universityCode',
+            universityName: { $first: '$universityName' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      disciplineMajor: countBy('$disciplineMajor'),
+      languageOfInstruction: countBy('$languageOfInstruction'),
+      tuition: bucketBy('firstYearTuitionFee', TUITION_BUCKETS),
+      durationMonths: bucketBy('durationMonths', DURATION_BUCKETS)
+    }
+  }
+];
+
+// Turn $bucket output into { min, max, count } ranges; max is exclusive and
+// null for the open-ended last bucket
+const formatBuckets = (buckets, boundaries) => {
+  const last = boundaries[boundaries.length - 1];
+
+  return buckets.map((bucket) => {
+    if (bucket._id === 'other') {
+      return { min: last, max: null, count: bucket.count };
+    }
+    const index = boundaries.indexOf(bucket._id);
+    return { min: bucket._id, max: boundaries[index + 1], count: bucket.count };
+  });
+};
+
+const formatCounts = (groups) => {
+  return groups
+    .filter(group => group._id !== null && group._id !== undefined && group._id !== '')
+    .map(group => ({ value: group._id, count: group.count }));
+};
+
+// Compute facet counts for the courses matching `filter` in one aggregation
+const getCourseFacets = async (filter) => {
+  const [facets] = await Course.aggregate(buildFacetPipeline(filter));
+
+  return {
+    courseLevel: formatCounts(facets.courseLevel),
+    attendanceType: formatCounts(facets.attendanceType),
+    university: facets.university.map(group => ({
+      universityCode: group._id,
+      universityName: group.universityName,
+      count: group.count
+    })),
+    disciplineMajor: formatCounts(facets.disciplineMajor),
+    languageOfInstruction: formatCounts(facets.languageOfInstruction),
+    tuition: formatBuckets(facets.tuition, TUITION_BUCKETS),
+    durationMonths: formatBuckets(facets.durationMonths, DURATION_BUCKETS)
+  };
+};
+
+// Sort keys accepted by the `sort` parameter, mapped to Course fields.
+// Course field names themselves are accepted too.
+const SORT_FIELDS = {
+  name: 'courseName',
+  courseName: 'courseName',
+  tuition: 'firstYearTuitionFee',
+  firstYearTuitionFee: 'firstYearTuitionFee',
+  totalTuition: 'totalTuitionFee',
+  totalTuitionFee: 'totalTuitionFee',
+  duration: 'durationMonths',
+  durationMonths: 'durationMonths',
+  credits: 'credits',
+  ranking: 'ftRanking2024',
+  ftRanking2024: 'ftRanking2024',
+  acceptanceRate: 'acceptanceRate',
+  deadline: 'internationalDeadlineDate',
+  internationalApplicationDeadline: 'internationalDeadlineDate',
+  updatedAt: 'updatedAt'
+};
+
+const DEFAULT_SORT = 'courseName';
+
+// Tuition sorts use the base currency amounts when a display currency is set,
+// so courses in different currencies are ordered correctly
+const CONVERTED_SORT_FIELDS = {
+  firstYearTuitionFee: 'baseTuitionFee',
+  totalTuitionFee: 'baseTotalTuitionFee'
+};
+
+// Parse a sort parameter such as "tuition,-ranking" (a leading "-" sorts
+// descending) into [{ field, direction }]. _id is always appended as the
+// final tie-breaker so the order is stable for cursor pagination.
+const parseSort = (sortParam = DEFAULT_SORT, { converted = false } = {}) => {
+  const spec = String(sortParam)
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map((key) => {
+      const direction = key.startsWith('-') ? -1 : 1;
+      const name = key.replace(/^[-+]/, '');
+      const field = SORT_FIELDS[name];
+      if (!field) {
+        throw new Error(`Unknown sort field: ${name}. Allowed: ${Object.keys(SORT_FIELDS).join(', ')}`);
+      }
+      return { field: (converted && CONVERTED_SORT_FIELDS[field]) || field, direction };
+    });
+
+  if (spec.length === 0) {
+    throw new Error('Sort parameter is empty');
+  }
+
+  return [...spec, { field: '_id', direction: 1 }];
+};
+
+// Mongo sort object for a parsed sort, optionally reversed
+const toMongoSort = (spec, reverse = false) => {
+  return Object.fromEntries(spec.map(({ field, direction }) => [field, reverse ? -direction : direction]));
+};
+
+const sortSignature = (spec) => {
+  return spec.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+};
+
+// Encode the sort values of a course as an opaque cursor token
+const encodeCursor = (course, spec) => {
+  const values = spec.map(({ field }) => {
+    const value = course[field];
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toHexString() };
+    return value;
+  });
+
+  return Buffer.from(JSON.stringify({ s: sortSignature(spec), v: values })).toString('base64url');
+};
+
+// Decode a cursor token created with the same sort; throws on tampered,
+// malformed or mismatched cursors
+const decodeCursor = (token, spec) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  if (!cursor || cursor.s !== sortSignature(spec) || !Array.isArray(cursor.v) || cursor.v.length !== spec.length) {
+    throw new Error('Pagination cursor does not match the requested sort');
+  }
+
+  return cursor.v.map((value) => {
+    if (value && value.$date) return new Date(value.$date);
+    if (value && value.$oid) {
+      if (!mongoose.Types.ObjectId.isValid(value.$oid)) throw new Error('Invalid pagination cursor');
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return value;
+  });
+};
+
+// Condition for documents strictly after (greater) or before (less) a value.
+// MongoDB sorts missing/null values first, so null is below every value.
+const compareCondition = (field, value, greater) => {
+  if (greater) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset filter selecting the documents that come after (forward) or before
+// the cursor position in the given sort order
+const buildCursorFilter = (spec, values, forward = true) => {
+  const branches = [];
+
+  spec.forEach(({ field, direction }, index) => {
+    const greater = (direction === 1) === forward;
+    const condition = compareCondition(field, values[index], greater);
+    if (!condition) return;
+
+    const equalities = spec.slice(0, index).map((previous, i) => ({ [previous.field]: values[i] }));
+    branches.push(equalities.length > 0 ? { $and: [...equalities, condition] } : condition);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+module.exports = {
+  ACTIVE_COURSE_FILTER,
+  buildCourseFilter,
+  getCourseFacets,
+  parseSort,
+  toMongoSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,143 @@
+const Course = require('../models/Course');
+const { ACTIVE_COURSE_FILTER } = require('./courseQuery');
+const { normalizeText, toTrigrams, gramSimilarity } = require('./searchText');
+
+// Text searches returning fewer courses than this fall back to fuzzy
+// matching; 0 turns the fallback off
+const parsedMinResults = parseInt(process.env.FUZZY_SEARCH_MIN_RESULTS);
+const FUZZY_MIN_RESULTS = Number.isNaN(parsedMinResults) ? 5 : parsedMinResults;
+
+// Share of the query trigrams a course must contain to match a fuzzy search
+const FUZZY_THRESHOLD = parseFloat(process.env.FUZZY_SEARCH_THRESHOLD) || 0.5;
+
+// Autocomplete matches on fewer trigrams, as the last word is often unfinished
+const SUGGEST_THRESHOLD = 0.3;
+
+// Courses scored per suggestion request before picking the best values
+const SUGGEST_CANDIDATES = 100;
+
+const sharedGrams = (grams) => ({
+  $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] }
+});
+
+// Filter matching courses whose search trigrams cover at least `threshold`
+// of the query's. Usable with find, countDocuments and aggregation.
+const buildFuzzyFilter = (grams, threshold = FUZZY_THRESHOLD) => {
+  const required = Math.max(1, Math.ceil(grams.length * threshold));
+  return {
+    searchGrams: { $in: grams },
+    $expr: { $gte: [sharedGrams(grams), required] }
+  };
+};
+
+// Swap the $text condition of a course filter for a fuzzy trigram match
+const toFuzzyFilter = (filter, query) => {
+  const { $text, ...rest } = filter;
+  const fuzzy = buildFuzzyFilter(toTrigrams(query));
+
+  return {
+    ...rest,
+    searchGrams: fuzzy.searchGrams,
+    $and: [...(rest.$and || []), { $expr: fuzzy.$expr }]
+  };
+};
+
+// One page of courses matching a fuzzy filter, best matches first unless a
+// Mongo sort is given. Each course carries its match score from 0 to 1.
+const findFuzzyCourses = (filter, query, { sort, skip = 0, limit = 50 } = {}) => {
+  const grams = toTrigrams(query);
+
+  return Course.aggregate([
+    { $match: filter },
+    { $addFields: { matchScore: { $divide: [sharedGrams(grams), grams.length] } } },
+    { $sort: sort || { matchScore: -1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { searchGrams: 0 } }
+  ]);
+};
+
+// Keep the best-scoring entry per key, highest scores first
+const topByScore = (entries, limit) => {
+  const best = new Map();
+  entries.forEach((entry) => {
+    const current = best.get(entry.key);
+    if (!current || entry.score > current.score) best.set(entry.key, entry);
+  });
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
+
+// Score a field value against the query, favouring values with a word that
+// starts with what was typed
+const scoreValue = (queryText, queryGrams, value) => {
+  const text = normalizeText(value);
+  if (!text) return 0;
+
+  const prefixBonus = text.startsWith(queryText) || text.includes(` ${queryText}`) ? 1 : 0;
+  return gramSimilarity(queryGrams, value) + prefixBonus;
+};
+
+// Autocomplete suggestions for a partly typed query: matching course names,
+// universities and disciplines of active courses
+const suggestCourses = async (q, limit = 5) => {
+  const queryText = normalizeText(q);
+  const queryGrams = toTrigrams(q, { partial: true });
+
+  if (queryGrams.length === 0) {
+    return { courses: [], universities: [], disciplines: [] };
+  }
+
+  const candidates = await Course.aggregate([
+    { $match: { ...ACTIVE_COURSE_FILTER, ...buildFuzzyFilter(queryGrams, SUGGEST_THRESHOLD) } },
+    { $addFields: { matchScore: sharedGrams(queryGrams) } },
+    { $sort: { matchScore: -1, _id: 1 } },
+    { $limit: SUGGEST_CANDIDATES },
+    { $project: { courseName: 1, universityCode: 1, universityName: 1, disciplineMajor: 1 } }
+  ]);
+
+  const courses = [];
+  const universities = [];
+  const disciplines = [];
+
+  candidates.forEach((course) => {
+    courses.push({
+      key: String(course._id),
+      label: course.courseName,
+      score: scoreValue(queryText, queryGrams, course.courseName),
+      value: { id: course._id, courseName: course.courseName, universityName: course.universityName }
+    });
+    universities.push({
+      key: course.universityCode,
+      label: course.universityName,
+      score: scoreValue(queryText, queryGrams, course.universityName),
+      value: { universityCode: course.universityCode, universityName: course.universityName }
+    });
+    if (course.disciplineMajor) {
+      disciplines.push({
+        key: normalizeText(course.disciplineMajor),
+        label: course.disciplineMajor,
+        score: scoreValue(queryText, queryGrams, course.disciplineMajor),
+        value: course.disciplineMajor
+      });
+    }
+  });
+
+  const pick = (entries) => topByScore(entries.filter(entry => entry.score >= SUGGEST_THRESHOLD), limit)
+    .map(entry => entry.value);
+
+  return {
+    courses: pick(courses),
+    universities: pick(universities),
+    disciplines: pick(disciplines)
+  };
+};
+
+module.exports = {
+  FUZZY_MIN_RESULTS,
+  toFuzzyFilter,
+  findFuzzyCourses,
+  suggestCourses
+};
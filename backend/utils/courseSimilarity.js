@@ -0,0 +1,150 @@
+const Course = require('../models/Course');
+const { ACTIVE_COURSE_FILTER } = require('./courseQuery');
+const { normalizeText } = require('./searchText');
+
+// Weight of each factor in the similarity score; they add up to 1
+const SIMILARITY_WEIGHTS = {
+  keywords: 0.25,
+  disciplineMajor: 0.2,
+  description: 0.2,
+  specialization: 0.1,
+  courseLevel: 0.1,
+  tuition: 0.1,
+  duration: 0.05
+};
+
+// Courses scored per request; candidates share a keyword, discipline or
+// specialization with the course
+const MAX_CANDIDATES = 500;
+
+const CANDIDATE_FIELDS = [
+  'uniqueId', 'courseName', 'universityName', 'universityCode', 'courseLevel',
+  'disciplineMajor', 'specialization', 'keywords', 'overviewDescription',
+  'learningOutcomes', 'firstYearTuitionFee', 'tuitionFeeCurrency',
+  'baseTuitionFee', 'durationMonths', 'attendanceType'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'such', 'that', 'the',
+  'their', 'this', 'to', 'will', 'with', 'you', 'your', 'students', 'course',
+  'program', 'programme'
+]);
+
+// Word counts of the descriptive text of a course
+const termCounts = (course) => {
+  const text = [course.overviewDescription, ...(course.learningOutcomes || [])].join(' ');
+  const counts = new Map();
+
+  normalizeText(text).split(' ').forEach((word) => {
+    if (word.length < 3 || STOP_WORDS.has(word)) return;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+
+  return counts;
+};
+
+// Cosine similarity of two word count maps
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  a.forEach((count, word) => {
+    if (b.has(word)) dot += count * b.get(word);
+  });
+  if (dot === 0) return 0;
+
+  const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const keywordSet = course => new Set((course.keywords || []).map(normalizeText).filter(Boolean));
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+const sameText = (a, b) => Boolean(a) && normalizeText(a) === normalizeText(b);
+
+// 1 for equal amounts, falling towards 0 as they grow apart
+const closeness = (a, b) => {
+  if (typeof a !== 'number' || typeof b !== 'number') return 0;
+  if (a === b) return 1;
+  return 1 - Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+};
+
+// Tuition compared in the base currency, or as stored when both courses use
+// the same currency
+const tuitionCloseness = (a, b) => {
+  if (typeof a.baseTuitionFee === 'number' && typeof b.baseTuitionFee === 'number') {
+    return closeness(a.baseTuitionFee, b.baseTuitionFee);
+  }
+  if (sameText(a.tuitionFeeCurrency, b.tuitionFeeCurrency)) {
+    return closeness(a.firstYearTuitionFee, b.firstYearTuitionFee);
+  }
+  return 0;
+};
+
+// Per-factor similarity (0-1) between the course and a candidate
+const scoreFactors = (course, candidate, courseTerms, courseKeywords) => ({
+  keywords: jaccard(courseKeywords, keywordSet(candidate)),
+  disciplineMajor: sameText(course.disciplineMajor, candidate.disciplineMajor) ? 1 : 0,
+  description: cosineSimilarity(courseTerms, termCounts(candidate)),
+  specialization: sameText(course.specialization, candidate.specialization) ? 1 : 0,
+  courseLevel: course.courseLevel === candidate.courseLevel ? 1 : 0,
+  tuition: tuitionCloseness(course, candidate),
+  duration: closeness(course.durationMonths, candidate.durationMonths)
+});
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// The `limit` active courses most similar to `course`, best first, each with
+// its overall similarity and the factors behind it
+const findSimilarCourses = async (course, limit = 5) => {
+  const related = [{ disciplineMajor: course.disciplineMajor }];
+  if (course.keywords && course.keywords.length > 0) related.push({ keywords: { $in: course.keywords } });
+  if (course.specialization) related.push({ specialization: course.specialization });
+
+  const candidates = await Course.find({
+    ...ACTIVE_COURSE_FILTER,
+    _id: { $ne: course._id },
+    $or: related
+  })
+    .select(CANDIDATE_FIELDS.join(' '))
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const courseTerms = termCounts(course);
+  const courseKeywords = keywordSet(course);
+
+  return candidates
+    .map((candidate) => {
+      const factors = scoreFactors(course, candidate, courseTerms, courseKeywords);
+      const similarity = Object.entries(SIMILARITY_WEIGHTS)
+        .reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+      return { candidate, factors, similarity };
+    })
+    .sort((a, b) => b.similarity - a.similarity || a.candidate.uniqueId.localeCompare(b.candidate.uniqueId))
+    .slice(0, limit)
+    .map(({ candidate, factors, similarity }) => ({
+      id: candidate._id,
+      uniqueId: candidate.uniqueId,
+      courseName: candidate.courseName,
+      universityName: candidate.universityName,
+      universityCode: candidate.universityCode,
+      courseLevel: candidate.courseLevel,
+      disciplineMajor: candidate.disciplineMajor,
+      attendanceType: candidate.attendanceType,
+      durationMonths: candidate.durationMonths,
+      firstYearTuitionFee: candidate.firstYearTuitionFee,
+      tuitionFeeCurrency: candidate.tuitionFeeCurrency,
+      similarity: round(similarity),
+      factors: Object.fromEntries(Object.entries(factors).map(([factor, value]) => [factor, round(value)]))
+    }));
+};
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  findSimilarCourses
+};
@@ -0,0 +1,137 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Currency every tuition fee is normalized to for filtering and sorting
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Course fields the base currency tuition is computed from
+const TUITION_FIELDS = ['firstYearTuitionFee', 'totalTuitionFee', 'tuitionFeeCurrency'];
+
+// Rates are read from MongoDB at most this often per process
+const RATE_CACHE_TTL_MS = 60 * 1000;
+
+// Symbols and names found in the free-text tuitionFeeCurrency field
+const CURRENCY_ALIASES = {
+  '$': 'USD',
+  'US$': 'USD',
+  'DOLLAR': 'USD',
+  'DOLLARS': 'USD',
+  'US DOLLAR': 'USD',
+  'US DOLLARS': 'USD',
+  '£': 'GBP',
+  'POUND': 'GBP',
+  'POUNDS': 'GBP',
+  'POUND STERLING': 'GBP',
+  '€': 'EUR',
+  'EURO': 'EUR',
+  'EUROS': 'EUR',
+  '¥': 'JPY',
+  'YEN': 'JPY',
+  '₹': 'INR',
+  'RUPEE': 'INR',
+  'RUPEES': 'INR',
+  'A$': 'AUD',
+  'AU$': 'AUD',
+  'C$': 'CAD',
+  'CA$': 'CAD',
+  'NZ$': 'NZD',
+  'S$': 'SGD',
+  'HK$': 'HKD'
+};
+
+let cachedRates = null;
+let cachedAt = 0;
+
+// Turn a stored currency value ("usd", "£", "Euro") into an ISO code, or null
+const normalizeCurrency = (value) => {
+  const text = String(value || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  if (!text) return null;
+  if (CURRENCY_ALIASES[text]) return CURRENCY_ALIASES[text];
+  return /^[A-Z]{3}$/.test(text) ? text : null;
+};
+
+// Map of currency code to its value in the base currency. The base currency
+// is always present with a rate of 1.
+const getExchangeRates = async () => {
+  if (cachedRates && Date.now() - cachedAt < RATE_CACHE_TTL_MS) {
+    return cachedRates;
+  }
+
+  const rates = await ExchangeRate.find().lean();
+  cachedRates = new Map(rates.map(({ currency, rate }) => [currency, rate]));
+  cachedRates.set(BASE_CURRENCY, 1);
+  cachedAt = Date.now();
+
+  return cachedRates;
+};
+
+// Forget the cached rates after they change
+const clearExchangeRateCache = () => {
+  cachedRates = null;
+  cachedAt = 0;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Validate a requested display currency; throws for currencies without a rate
+const resolveCurrency = (value, rates) => {
+  const currency = normalizeCurrency(value);
+  if (!currency || !rates.has(currency)) {
+    throw new Error(`No exchange rate for currency: ${value}. Available: ${[...rates.keys()].sort().join(', ')}`);
+  }
+  return currency;
+};
+
+// Load the rates for a requested display currency, or null when none was
+// requested; throws for currencies without a rate
+const resolveDisplayCurrency = async (value) => {
+  if (!value) return null;
+  const rates = await getExchangeRates();
+  return { currency: resolveCurrency(value, rates), rates };
+};
+
+// Amount in the base currency, or null when the currency has no rate
+const convertToBase = (amount, currency, rates) => {
+  const rate = rates.get(normalizeCurrency(currency));
+  if (typeof amount !== 'number' || !rate) return null;
+  return roundAmount(amount * rate);
+};
+
+// Base currency amount expressed in `currency`, or null when unknown
+const convertFromBase = (amount, currency, rates) => {
+  const rate = rates.get(normalizeCurrency(currency));
+  if (typeof amount !== 'number' || !rate) return null;
+  return roundAmount(amount / rate);
+};
+
+// Base currency tuition fields stored on a course
+const buildBaseTuition = (course, rates) => ({
+  baseTuitionFee: convertToBase(course.firstYearTuitionFee, course.tuitionFeeCurrency || 'USD', rates),
+  baseTotalTuitionFee: convertToBase(course.totalTuitionFee, course.tuitionFeeCurrency || 'USD', rates)
+});
+
+// Whether a list of { field } changes touches the tuition fields
+const touchesTuitionFields = (changes) => {
+  return changes.some(change => TUITION_FIELDS.includes(change.field));
+};
+
+// A course's tuition converted to the requested display currency
+const convertTuition = (course, currency, rates) => ({
+  currency,
+  firstYearTuitionFee: convertFromBase(course.baseTuitionFee, currency, rates),
+  totalTuitionFee: convertFromBase(course.baseTotalTuitionFee, currency, rates)
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  TUITION_FIELDS,
+  normalizeCurrency,
+  getExchangeRates,
+  clearExchangeRateCache,
+  resolveCurrency,
+  resolveDisplayCurrency,
+  convertToBase,
+  convertFromBase,
+  buildBaseTuition,
+  touchesTuitionFields,
+  convertTuition
+};
@@ -0,0 +1,147 @@
+const Course = require('../models/Course');
+const DeadlineSubscription = require('../models/DeadlineSubscription');
+const { ACTIVE_COURSE_FILTER } = require('./courseQuery');
+const { DEADLINE_TYPES, formatDeadline, daysUntil } = require('./deadlines');
+const { createNotifier } = require('./notifiers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before a deadline that reminders go out, e.g. "30,7,1"
+const parseOffsets = (value) => {
+  const days = String(value || '').split(',')
+    .map(day => parseInt(day))
+    .filter(day => Number.isInteger(day) && day > 0);
+  return days.length > 0 ? [...new Set(days)].sort((a, b) => b - a) : [30, 7, 1];
+};
+
+const REMINDER_OFFSETS = parseOffsets(process.env.DEADLINE_REMINDER_DAYS);
+
+// Minutes between checks for due reminders
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.DEADLINE_REMINDER_INTERVAL_MINUTES) || 60;
+
+const REMINDER_COURSE_FIELDS = [
+  'uniqueId', 'courseName', 'universityName', 'courseUrl',
+  'domesticApplicationDeadline', 'internationalApplicationDeadline',
+  'domesticDeadlineDate', 'internationalDeadlineDate'
+];
+
+// Reminder offsets that are due for a deadline: the reminder day has come
+// and the deadline has not passed
+const dueOffsets = (deadline, now, offsets = REMINDER_OFFSETS) => {
+  const days = daysUntil(deadline, now);
+  if (days < 0) return [];
+  return offsets.filter(offset => days <= offset);
+};
+
+const buildReminder = (student, course, deadlineType, deadline, now) => {
+  const days = daysUntil(deadline, now);
+  const when = days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`;
+
+  return {
+    to: student.email,
+    subject: `Application deadline ${when}: ${course.courseName}`,
+    text: [
+      `Hi${student.name ? ` ${student.name}` : ''},`,
+      '',
+      `The ${deadlineType} application deadline for ${course.courseName} at ${course.universityName} is ${when} (${formatDeadline(deadline)}).`,
+      course.courseUrl ? `Course page: ${course.courseUrl}` : null,
+      '',
+      'You are receiving this because you subscribed to this deadline on Course Compass.'
+    ].filter(line => line !== null).join('\n')
+  };
+};
+
+// Send every reminder that has become due. Each subscription gets at most one
+// message per run: when several offsets are due at once (for instance just
+// after subscribing) only the nearest is sent and the others are marked as
+// sent. Reminders are claimed before sending so overlapping runs never send
+// twice, and released again if sending fails so the next run retries.
+const sendDueReminders = async (notifier, now = new Date()) => {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const horizon = new Date(today.getTime() + REMINDER_OFFSETS[0] * DAY_MS);
+  const window = { $gte: today, $lte: horizon };
+
+  const courses = await Course.find({
+    ...ACTIVE_COURSE_FILTER,
+    $or: Object.values(DEADLINE_TYPES).map(({ dateField }) => ({ [dateField]: window }))
+  })
+    .select(REMINDER_COURSE_FIELDS.join(' '))
+    .lean();
+  if (courses.length === 0) return { sent: 0, failed: 0 };
+
+  const coursesById = new Map(courses.map(course => [course.uniqueId, course]));
+  const cursor = DeadlineSubscription.find({ courseId: { $in: [...coursesById.keys()] } })
+    .populate('student', 'email name isActive')
+    .cursor();
+
+  let sent = 0;
+  let failed = 0;
+
+  for await (const subscription of cursor) {
+    const { student } = subscription;
+    if (!student || !student.isActive) continue;
+
+    const course = coursesById.get(subscription.courseId);
+    const deadline = course[DEADLINE_TYPES[subscription.deadlineType].dateField];
+    if (!deadline) continue;
+
+    const due = dueOffsets(deadline, now).filter(offset => !subscription.remindersSent.some(reminder =>
+      reminder.offsetDays === offset && reminder.deadline.getTime() === deadline.getTime()));
+    if (due.length === 0) continue;
+
+    const claimed = await DeadlineSubscription.updateOne(
+      {
+        _id: subscription._id,
+        remindersSent: { $not: { $elemMatch: { deadline, offsetDays: { $in: due } } } }
+      },
+      { $push: { remindersSent: { $each: due.map(offsetDays => ({ deadline, offsetDays, sentAt: now })) } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await notifier.send(buildReminder(student, course, subscription.deadlineType, deadline, now));
+      sent++;
+    } catch (error) {
+      console.error(`Deadline reminder to ${student.email} failed:`, error);
+      await DeadlineSubscription.updateOne(
+        { _id: subscription._id },
+        { $pull: { remindersSent: { deadline, offsetDays: { $in: due } } } }
+      );
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+// Check for due reminders now and every REMINDER_INTERVAL_MINUTES
+const scheduleDeadlineReminders = () => {
+  let notifier;
+  try {
+    notifier = createNotifier();
+  } catch (error) {
+    console.error('Deadline reminders disabled:', error.message);
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const { sent, failed } = await sendDueReminders(notifier);
+      if (sent > 0 || failed > 0) {
+        console.log(`Deadline reminders: ${sent} sent, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Deadline reminders error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  dueOffsets,
+  sendDueReminders,
+  scheduleDeadlineReminders
+};
@@ -0,0 +1,144 @@
+// Application deadlines are free-form strings on the course. Each one is also
+// stored as a date (UTC midnight) so deadlines can be queried and reminded of.
+const DEADLINE_DATE_FIELDS = {
+  domesticApplicationDeadline: 'domesticDeadlineDate',
+  internationalApplicationDeadline: 'internationalDeadlineDate'
+};
+
+// Deadline type and the course fields holding it
+const DEADLINE_TYPES = {
+  domestic: { field: 'domesticApplicationDeadline', dateField: 'domesticDeadlineDate' },
+  international: { field: 'internationalApplicationDeadline', dateField: 'internationalDeadlineDate' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+// Accepted formats: 2025-01-15 (or with / or .), optionally followed by a
+// time; 15 January 2025, 15-Jan-2025; January 15, 2025
+const DEADLINE_FORMATS = [
+  { pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[t\s].*)?$/, parts: match => [match[1], match[2], match[3]] },
+  { pattern: new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+${MONTH_NAME}[\\s,-]+(\\d{4})$`), parts: match => [match[3], MONTHS.indexOf(match[2]) + 1, match[1]] },
+  { pattern: new RegExp(`^${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})$`), parts: match => [match[3], MONTHS.indexOf(match[1]) + 1, match[2]] }
+];
+
+// UTC midnight of a calendar date, or null for dates such as 2025-02-30
+const calendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? date : null;
+};
+
+// Parse a deadline string. Empty values have no deadline; values that are
+// set but cannot be read as a date are `invalid`.
+const parseDeadline = (value) => {
+  if (value instanceof Date) {
+    return { date: Number.isNaN(value.getTime()) ? null : value, invalid: Number.isNaN(value.getTime()) };
+  }
+
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (!text) return { date: null, invalid: false };
+
+  for (const { pattern, parts } of DEADLINE_FORMATS) {
+    const match = text.match(pattern);
+    if (match) {
+      const [year, month, day] = parts(match).map(Number);
+      const date = calendarDate(year, month, day);
+      return { date, invalid: !date };
+    }
+  }
+
+  return { date: null, invalid: true };
+};
+
+// Deadline dates for a course, keyed by date field
+const buildDeadlineDates = (course) => {
+  return Object.fromEntries(Object.entries(DEADLINE_DATE_FIELDS)
+    .map(([field, dateField]) => [dateField, parseDeadline(course[field]).date]));
+};
+
+// Month an intake season starts in. Seasons are approximate: spring and
+// winter intakes are taken to start in January.
+const SEASON_MONTHS = { spring: 1, summer: 5, fall: 9, autumn: 9, winter: 1 };
+
+const INTAKE_FORMATS = [
+  { pattern: new RegExp(`^${MONTH_NAME}\\s+(\\d{4})$`), parts: match => [match[2], MONTHS.indexOf(match[1]) + 1] },
+  { pattern: new RegExp(`^(\\d{4})\\s+${MONTH_NAME}$`), parts: match => [match[1], MONTHS.indexOf(match[2]) + 1] },
+  { pattern: /^(spring|summer|fall|autumn|winter)(?:\s+(?:intake|semester|term))?\s+(\d{4})$/, parts: match => [match[2], SEASON_MONTHS[match[1]]] }
+];
+
+const YEARLESS_INTAKE_FORMATS = [
+  { pattern: new RegExp(`^${MONTH_NAME}(?:\\s+intake)?$`), month: match => MONTHS.indexOf(match[1]) + 1 },
+  { pattern: /^(spring|summer|fall|autumn|winter)(?:\s+(?:intake|semester|term))?$/, month: match => SEASON_MONTHS[match[1]] }
+];
+
+// Start dates of the intakes listed in openForIntake, e.g. "September 2025,
+// January 2026", "Fall 2025" or "2025-09-01". Intakes given without a year
+// ("September") are repeated for each of `years`. A month or season starts
+// on its first day. Returns the dates in order; unreadable parts are skipped.
+const parseIntakeDates = (value, years = []) => {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (!text) return [];
+
+  const whole = parseDeadline(text).date;
+  if (whole) return [whole];
+
+  const dates = new Map();
+  const add = (date) => {
+    if (date) dates.set(date.getTime(), date);
+  };
+
+  text.split(/[,;/&]|\band\b/).map(part => part.trim()).filter(Boolean).forEach((part) => {
+    const { date } = parseDeadline(part);
+    if (date) return add(date);
+
+    const dated = INTAKE_FORMATS.find(({ pattern }) => pattern.test(part));
+    if (dated) {
+      const [year, month] = dated.parts(part.match(dated.pattern)).map(Number);
+      return add(calendarDate(year, month, 1));
+    }
+
+    const yearless = YEARLESS_INTAKE_FORMATS.find(({ pattern }) => pattern.test(part));
+    if (yearless) {
+      const month = yearless.month(part.match(yearless.pattern));
+      years.forEach(year => add(calendarDate(year, month, 1)));
+    }
+  });
+
+  return [...dates.values()].sort((a, b) => a - b);
+};
+
+// Deadline fields of a course that are set but could not be parsed
+const findInvalidDeadlines = (course) => {
+  return Object.keys(DEADLINE_DATE_FIELDS)
+    .filter(field => parseDeadline(course[field]).invalid)
+    .map(field => ({ field, value: course[field] }));
+};
+
+const touchesDeadlineFields = (changes) => {
+  return changes.some(change => change.field in DEADLINE_DATE_FIELDS);
+};
+
+// YYYY-MM-DD of a deadline date
+const formatDeadline = date => (date ? date.toISOString().slice(0, 10) : null);
+
+// Whole days from the start of `now`'s day until a deadline date
+const daysUntil = (date, now = new Date()) => {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((date.getTime() - today) / DAY_MS);
+};
+
+module.exports = {
+  DEADLINE_DATE_FIELDS,
+  DEADLINE_TYPES,
+  parseDeadline,
+  parseIntakeDates,
+  buildDeadlineDates,
+  findInvalidDeadlines,
+  touchesDeadlineFields,
+  formatDeadline,
+  daysUntil
+};
@@ -0,0 +1,236 @@
+const { convertToBase } = require('./currency');
+const { DEADLINE_TYPES, parseDeadline, daysUntil } = require('./deadlines');
+
+// Highest qualifications a student can hold, lowest first
+const QUALIFICATION_LEVELS = ['secondary', 'diploma', 'bachelor', 'master', 'doctorate'];
+
+// Qualification needed to enter each course level
+const REQUIRED_QUALIFICATION = {
+  Certificate: 'secondary',
+  Diploma: 'secondary',
+  Undergraduate: 'secondary',
+  Postgraduate: 'bachelor',
+  Doctorate: 'master'
+};
+
+// English tests: profile score field and course minimum field
+const ENGLISH_TESTS = [
+  { test: 'IELTS', score: 'ieltsScore', minimum: 'minimumIELTSScore' },
+  { test: 'TOEFL', score: 'toeflScore', minimum: 'minimumTOEFLScore' },
+  { test: 'PTE', score: 'pteScore', minimum: 'minimumPTEScore' },
+  { test: 'Duolingo', score: 'duolingoScore', minimum: 'minimumDuolingoScore' }
+];
+
+// Admission tests: requirement flag, free-text minimum and profile score
+const ADMISSION_TESTS = [
+  { test: 'GRE', required: 'greRequired', minimum: 'greScore', score: 'greScore' },
+  { test: 'GMAT', required: 'gmatRequired', minimum: 'gmatScore', score: 'gmatScore' },
+  { test: 'SAT', required: 'satRequired', minimum: 'satScore', score: 'satScore' },
+  { test: 'ACT', required: 'actRequired', minimum: 'actScore', score: 'actScore' }
+];
+
+const hasValue = value => value !== undefined && value !== null;
+
+// First number in a free-text score such as "Minimum 310" or "650+"
+const parseMinimumScore = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value || '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// A course accepts any one of its English tests. Courses without minimums
+// have no English requirement.
+const checkEnglish = (course, profile) => {
+  const accepted = ENGLISH_TESTS.filter(({ minimum }) => hasValue(course[minimum]));
+  if (accepted.length === 0) return [];
+
+  const taken = accepted.filter(({ score }) => hasValue(profile[score]));
+  if (taken.some(({ score, minimum }) => profile[score] >= course[minimum])) return [];
+
+  if (taken.length === 0) {
+    return [{
+      requirement: 'englishTest',
+      message: `One of ${accepted.map(({ test, minimum }) => `${test} ${course[minimum]}`).join(', ')} is required`
+    }];
+  }
+
+  return taken.map(({ test, score, minimum }) => ({
+    requirement: score,
+    message: `${test} score below the minimum`,
+    required: course[minimum],
+    actual: profile[score],
+    shortBy: round(course[minimum] - profile[score])
+  }));
+};
+
+const checkAdmissionTests = (course, profile) => {
+  const missing = [];
+
+  ADMISSION_TESTS.forEach(({ test, required, minimum, score }) => {
+    if (!course[required]) return;
+
+    const minimumScore = parseMinimumScore(course[minimum]);
+    if (!hasValue(profile[score])) {
+      missing.push({
+        requirement: score,
+        message: `${test} is required`,
+        required: minimumScore
+      });
+    } else if (minimumScore !== null && profile[score] < minimumScore) {
+      missing.push({
+        requirement: score,
+        message: `${test} score below the minimum`,
+        required: minimumScore,
+        actual: profile[score],
+        shortBy: round(minimumScore - profile[score])
+      });
+    }
+  });
+
+  return missing;
+};
+
+const checkQualification = (course, profile) => {
+  const required = REQUIRED_QUALIFICATION[course.courseLevel];
+  if (!profile.highestQualification || !required) return [];
+
+  const shortBy = QUALIFICATION_LEVELS.indexOf(required) - QUALIFICATION_LEVELS.indexOf(profile.highestQualification);
+  if (shortBy <= 0) return [];
+
+  return [{
+    requirement: 'highestQualification',
+    message: `A ${required} qualification is required for ${course.courseLevel} study`,
+    required,
+    actual: profile.highestQualification,
+    shortBy
+  }];
+};
+
+// The budget is in the display currency when one is given, otherwise in the
+// course's own currency
+const checkBudget = (course, profile, display) => {
+  if (!hasValue(profile.budget)) return [];
+
+  const tuition = display ? course.baseTuitionFee : course.firstYearTuitionFee;
+  const budget = display ? convertToBase(profile.budget, display.currency, display.rates) : profile.budget;
+  if (!hasValue(tuition) || tuition <= budget) return [];
+
+  const required = display ? round(tuition / display.rates.get(display.currency)) : tuition;
+  return [{
+    requirement: 'budget',
+    message: 'First-year tuition is over budget',
+    required,
+    actual: profile.budget,
+    shortBy: round(required - profile.budget),
+    currency: display ? display.currency : course.tuitionFeeCurrency
+  }];
+};
+
+// Deadline that applies to the student, and whether it has passed. Uses the
+// parsed deadline date when the course has one; `passed` is null for
+// deadlines that cannot be read as a date.
+const applicableDeadline = (course, profile, today = new Date()) => {
+  const type = profile.residency === 'domestic' ? 'domestic' : 'international';
+  const { field, dateField } = DEADLINE_TYPES[type];
+  const date = course[field] || null;
+  const parsed = course[dateField] || parseDeadline(date).date;
+
+  return {
+    type,
+    date,
+    passed: parsed ? daysUntil(parsed, today) < 0 : null
+  };
+};
+
+// Years listed in admissionOpenYears, e.g. "2025, 2026" or "2025-2027".
+// Returns an empty list when no year can be read.
+const parseOpenYears = (value) => {
+  const text = String(value || '');
+  const years = new Set();
+
+  text.replace(/(\d{4})\s*(?:-|–|to)\s*(\d{4})/g, (match, from, to) => {
+    for (let year = parseInt(from); year <= parseInt(to); year++) years.add(year);
+    return '';
+  }).replace(/\d{4}/g, (year) => {
+    years.add(parseInt(year));
+    return '';
+  });
+
+  return [...years].sort((a, b) => a - b);
+};
+
+// Free-text requirements that cannot be checked automatically
+const requirementNotes = (course) => {
+  const notes = [];
+  if (course.twelfthGradeRequirement) notes.push(`12th grade: ${course.twelfthGradeRequirement}`);
+  if (course.undergraduateDegreeRequirement) notes.push(`Undergraduate degree: ${course.undergraduateDegreeRequirement}`);
+  if (course.otherEnglishTestsAccepted) notes.push(`Other English tests accepted: ${course.otherEnglishTestsAccepted}`);
+  if (course.waiverOptions) notes.push(`Waivers: ${course.waiverOptions}`);
+  return notes;
+};
+
+// Check a student profile against a course's admission requirements. Lists
+// every requirement the student misses and by how much.
+const checkEligibility = (course, profile, display = null) => {
+  const missing = [
+    ...checkEnglish(course, profile),
+    ...checkAdmissionTests(course, profile),
+    ...checkQualification(course, profile),
+    ...checkBudget(course, profile, display)
+  ];
+
+  return {
+    eligible: missing.length === 0,
+    missing,
+    deadline: applicableDeadline(course, profile),
+    notes: requirementNotes(course)
+  };
+};
+
+// Score points taken off a recommendation per unmet preference
+const PREFERENCE_PENALTY = 15;
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Assess a recommended course for a student. Requirements the student cannot
+// meet, an intake year the course is not open for and a passed deadline
+// exclude the course (`blockers`); an unpreferred attendance type or language
+// only lowers its score (`penalties`).
+const assessForRecommendation = (course, profile, display = null) => {
+  const { missing, deadline } = checkEligibility(course, profile, display);
+  const blockers = missing.map(item => (hasValue(item.actual)
+    ? `${item.message} (${item.required} required, ${item.actual} given)`
+    : item.message));
+
+  if (profile.intakeYear) {
+    const openYears = parseOpenYears(course.admissionOpenYears);
+    if (openYears.length > 0 && !openYears.includes(profile.intakeYear)) {
+      blockers.push(`Not open for ${profile.intakeYear} intake (open: ${openYears.join(', ')})`);
+    }
+  }
+
+  if (deadline.passed) {
+    blockers.push(`The ${deadline.type} application deadline (${deadline.date}) has passed`);
+  }
+
+  const penalties = [];
+  if (profile.preferredAttendanceType && !sameText(course.attendanceType, profile.preferredAttendanceType)) {
+    penalties.push({ reason: `${course.attendanceType} rather than ${profile.preferredAttendanceType}`, points: PREFERENCE_PENALTY });
+  }
+  if (profile.preferredLanguage && !sameText(course.languageOfInstruction, profile.preferredLanguage)) {
+    penalties.push({ reason: `Taught in ${course.languageOfInstruction} rather than ${profile.preferredLanguage}`, points: PREFERENCE_PENALTY });
+  }
+
+  return { blockers, penalties, deadline };
+};
+
+module.exports = {
+  QUALIFICATION_LEVELS,
+  parseMinimumScore,
+  parseOpenYears,
+  applicableDeadline,
+  checkEligibility,
+  assessForRecommendation
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const Course = require('../models/Course');
+const CourseEvent = require('../models/CourseEvent');
+const EngagementRollup = require('../models/EngagementRollup');
+const redisClient = require('./redis');
+const { normalizeText } = require('./searchText');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rollup count field for each event type
+const EVENT_COUNT_FIELDS = {
+  view: 'views',
+  click: 'clicks',
+  thumbsUp: 'thumbsUp',
+  thumbsDown: 'thumbsDown',
+  save: 'saves'
+};
+
+// What each event says about a course; a thumbs down counts against it
+const EVENT_WEIGHTS = {
+  views: 1,
+  clicks: 2,
+  thumbsUp: 3,
+  thumbsDown: -3,
+  saves: 4
+};
+
+// Days for an event's weight to halve
+const POPULARITY_HALF_LIFE_DAYS = parseFloat(process.env.POPULARITY_HALF_LIFE_DAYS) || 14;
+
+// Rollup days older than this add too little to be worth reading
+const POPULARITY_WINDOW_DAYS = POPULARITY_HALF_LIFE_DAYS * 8;
+
+// Most match score points that engagement for the requested topics can add
+// to, or take off, a recommendation; 0 turns topic boosts off
+const parsedTopicBoost = parseInt(process.env.RECOMMENDATION_TOPIC_BOOST);
+const MAX_TOPIC_BOOST = Number.isNaN(parsedTopicBoost) ? 10 : parsedTopicBoost;
+
+// Decayed topic score that earns about two thirds of the maximum boost
+const TOPIC_BOOST_SCALE = 10;
+
+// Hour (UTC) the nightly rollup runs; 0 is midnight
+const ROLLUP_HOUR = Number.isInteger(parseInt(process.env.ENGAGEMENT_ROLLUP_HOUR))
+  ? parseInt(process.env.ENGAGEMENT_ROLLUP_HOUR)
+  : 2;
+
+// Repeats of the same event from the same visitor within this window are
+// counted once; 0 counts every event
+const parsedDedupeMinutes = parseInt(process.env.EVENT_DEDUPE_MINUTES);
+const EVENT_DEDUPE_SECONDS = (Number.isNaN(parsedDedupeMinutes) ? 30 : parsedDedupeMinutes) * 60;
+
+const BATCH_SIZE = 500;
+
+// Claimed events not yet added to the counts. Claiming stores an explicit
+// null; events rolled up before rolledUpAt existed have no value and are done.
+const NOT_ROLLED_UP = { $type: 'null' };
+
+const normalizeTopics = topics => [...new Set((topics || []).map(normalizeText).filter(Boolean))];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Aggregation expression for the weighted event count of a rollup row,
+// halved for every POPULARITY_HALF_LIFE_DAYS since its day
+const decayedScore = now => ({
+  $multiply: [
+    { $add: Object.entries(EVENT_WEIGHTS).map(([field, weight]) => ({ $multiply: [{ $ifNull: [`$${field}`, 0] }, weight] })) },
+    { $pow: [0.5, { $divide: [{ $subtract: [now, '$day'] }, POPULARITY_HALF_LIFE_DAYS * DAY_MS] }] }
+  ]
+});
+
+const recordEvent = ({ type, courseId, topics }) => {
+  return CourseEvent.create({ type, courseId, topics: normalizeTopics(topics) });
+};
+
+// Record an event unless the visitor (a student, or an IP address and
+// client session) sent the same one within EVENT_DEDUPE_SECONDS. Returns
+// true when the event was recorded.
+const recordVisitorEvent = async ({ type, courseId, topics }, visitor) => {
+  if (EVENT_DEDUPE_SECONDS > 0) {
+    const key = `events:${visitor}:${type}:${courseId}`;
+    const fresh = await redisClient.setIfAbsent(key, '1', EVENT_DEDUPE_SECONDS);
+    if (!fresh) return false;
+  }
+
+  await recordEvent({ type, courseId, topics });
+  return true;
+};
+
+// Add the events claimed by a rollup to the daily counts, then mark them as
+// rolled up. Rows record the rollups added to them, so running this again for
+// the same rollup (after a failure part way through) adds nothing twice.
+const applyRollup = async (rollupId) => {
+  // One group per course, day and event type for the course's own row (null
+  // topic) and for each topic the event carries
+  const groups = await CourseEvent.aggregate([
+    { $match: { rollupId, rolledUpAt: NOT_ROLLED_UP } },
+    {
+      $project: {
+        courseId: 1,
+        type: 1,
+        day: { $dateTrunc: { date: '$createdAt', unit: 'day' } },
+        topic: { $concatArrays: [[null], '$topics'] }
+      }
+    },
+    { $unwind: '$topic' },
+    {
+      $group: {
+        _id: { courseId: '$courseId', topic: '$topic', day: '$day', type: '$type' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const rows = new Map();
+  groups.forEach(({ _id: { courseId, topic, day, type }, count }) => {
+    const key = JSON.stringify([courseId, topic, day]);
+    if (!rows.has(key)) rows.set(key, { filter: { courseId, topic, day }, counts: {} });
+    rows.get(key).counts[EVENT_COUNT_FIELDS[type]] = count;
+  });
+
+  // A row that already holds this rollup does not match, and its upsert
+  // fails on the unique index instead
+  const updates = [...rows.values()].map(({ filter, counts }) => ({
+    updateOne: {
+      filter: { ...filter, rollupIds: { $ne: rollupId } },
+      update: { $inc: counts, $push: { rollupIds: rollupId } },
+      upsert: true
+    }
+  }));
+
+  for (let index = 0; index < updates.length; index += BATCH_SIZE) {
+    try {
+      await EngagementRollup.bulkWrite(updates.slice(index, index + BATCH_SIZE), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+    }
+  }
+
+  const marked = await CourseEvent.updateMany(
+    { rollupId, rolledUpAt: NOT_ROLLED_UP },
+    { $set: { rolledUpAt: new Date() } }
+  );
+  return marked.modifiedCount;
+};
+
+// Add events not yet rolled up to the daily counts. Events are claimed with a
+// rollup id first, so overlapping runs never count an event twice, and events
+// claimed by an earlier rollup that failed are finished first. Returns the
+// number of events rolled up.
+const rollupEvents = async (until = new Date()) => {
+  const unfinished = await CourseEvent.distinct('rollupId', { rollupId: { $ne: null }, rolledUpAt: NOT_ROLLED_UP });
+
+  const rollupId = crypto.randomUUID();
+  const claimed = await CourseEvent.updateMany(
+    { rollupId: null, createdAt: { $lt: until } },
+    { $set: { rollupId, rolledUpAt: null } }
+  );
+
+  const rollupIds = claimed.modifiedCount > 0 ? [...unfinished, rollupId] : unfinished;
+  let rolledUp = 0;
+  for (const id of rollupIds) {
+    rolledUp += await applyRollup(id);
+  }
+  return rolledUp;
+};
+
+// Recompute every course's popularityScore from the daily counts. Returns the
+// number of courses with engagement.
+const refreshPopularity = async (now = new Date()) => {
+  const scores = await EngagementRollup.aggregate([
+    { $match: { topic: null, day: { $gte: new Date(now.getTime() - POPULARITY_WINDOW_DAYS * DAY_MS) } } },
+    { $group: { _id: '$courseId', score: { $sum: decayedScore(now) } } }
+  ]);
+
+  const updates = scores.map(({ _id, score }) => ({
+    updateOne: {
+      filter: { uniqueId: _id },
+      update: { $set: { popularityScore: round(score) } }
+    }
+  }));
+
+  for (let index = 0; index < updates.length; index += BATCH_SIZE) {
+    await Course.bulkWrite(updates.slice(index, index + BATCH_SIZE), { ordered: false });
+  }
+
+  // Courses whose events have all aged out of the window
+  await Course.updateMany(
+    { uniqueId: { $nin: scores.map(({ _id }) => _id) }, popularityScore: { $ne: 0 } },
+    { $set: { popularityScore: 0 } }
+  );
+
+  return scores.length;
+};
+
+// Match score points for each course from engagement with recommendations
+// made for the topics. Courses without engagement are left out of the Map.
+const getTopicBoosts = async (topics, courseIds, now = new Date()) => {
+  const normalized = normalizeTopics(topics);
+  if (normalized.length === 0 || courseIds.length === 0) return new Map();
+
+  const scores = await EngagementRollup.aggregate([
+    {
+      $match: {
+        topic: { $in: normalized },
+        courseId: { $in: courseIds },
+        day: { $gte: new Date(now.getTime() - POPULARITY_WINDOW_DAYS * DAY_MS) }
+      }
+    },
+    { $group: { _id: '$courseId', score: { $sum: decayedScore(now) } } }
+  ]);
+
+  const boosts = new Map();
+  scores.forEach(({ _id, score }) => {
+    const points = Math.round(Math.sign(score) * MAX_TOPIC_BOOST * (1 - Math.exp(-Math.abs(score) / TOPIC_BOOST_SCALE)));
+    if (points !== 0) boosts.set(_id, points);
+  });
+  return boosts;
+};
+
+// Roll up new events, refresh popularity and drop the cached popular list
+const runEngagementRollup = async (now = new Date()) => {
+  const eventsRolledUp = await rollupEvents(now);
+  const coursesScored = await refreshPopularity(now);
+  await redisClient.del('popular_recommendations');
+  return { eventsRolledUp, coursesScored };
+};
+
+// Run the rollup every night at ROLLUP_HOUR (UTC)
+const scheduleEngagementRollup = () => {
+  const now = new Date();
+  const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), ROLLUP_HOUR));
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+
+  const timer = setTimeout(async () => {
+    try {
+      const result = await runEngagementRollup();
+      console.log(`Engagement rollup: ${result.eventsRolledUp} events, ${result.coursesScored} courses scored`);
+    } catch (error) {
+      console.error('Engagement rollup error:', error);
+    }
+    scheduleEngagementRollup();
+  }, next - now);
+  timer.unref();
+};
+
+module.exports = {
+  EVENT_WEIGHTS,
+  recordEvent,
+  recordVisitorEvent,
+  rollupEvents,
+  refreshPopularity,
+  getTopicBoosts,
+  runEngagementRollup,
+  scheduleEngagementRollup
+};
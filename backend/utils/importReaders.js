@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+
+const SUPPORTED_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx'
+};
+
+const MIMETYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+// A row that could not be parsed; reported as a row error instead of
+// failing the whole import
+class RowParseError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'RowParseError';
+    this.data = data;
+  }
+}
+
+// Work out the file format from its extension, falling back to the mimetype
+const detectFormat = (filename, mimetype) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  return EXTENSION_FORMATS[extension] || MIMETYPE_FORMATS[mimetype] || null;
+};
+
+const readCsvRows = (filePath) => {
+  return fs.createReadStream(filePath).pipe(csv());
+};
+
+// Newline-delimited JSON: one course object per line, blank lines ignored
+async function* readNdjsonRows(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield new RowParseError(`Invalid JSON on line ${lineNumber}: ${error.message}`, { line });
+    }
+  }
+}
+
+// A JSON array of course objects, or an object with a `courses` array.
+// Uploads are capped by multer, so the file is parsed in one go.
+async function* readJsonRows(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const parsed = JSON.parse(content);
+  const rows = Array.isArray(parsed) ? parsed : parsed && parsed.courses;
+
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON file must contain an array of courses or an object with a "courses" array');
+  }
+
+  yield* rows;
+}
+
+// Let other work (such as the import job heartbeat) run between the
+// synchronous steps of parsing a workbook
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// First worksheet of an XLSX workbook, or the sheet named by `sheet`.
+// The first row holds the column headers. The file is read asynchronously and
+// only the imported worksheet is parsed.
+async function* readXlsxRows(filePath, sheet) {
+  const data = await fs.promises.readFile(filePath);
+  const { SheetNames } = XLSX.read(data, { bookSheets: true });
+  const sheetName = sheet || SheetNames[0];
+
+  if (!SheetNames.includes(sheetName)) {
+    throw new Error(`Worksheet "${sheetName}" not found. Available sheets: ${SheetNames.join(', ')}`);
+  }
+
+  await yieldToEventLoop();
+  const worksheet = XLSX.read(data, { cellDates: true, sheets: sheetName }).Sheets[sheetName];
+
+  await yieldToEventLoop();
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+  // Date cells become YYYY-MM-DD strings, as they would appear in a CSV export
+  for (const row of rows) {
+    Object.keys(row).forEach((column) => {
+      if (row[column] instanceof Date) {
+        row[column] = row[column].toISOString().slice(0, 10);
+      }
+    });
+    yield row;
+  }
+}
+
+// Return an async iterable of raw rows (plain objects keyed by column name)
+const readRows = (filePath, format, options = {}) => {
+  switch (format) {
+    case 'csv':
+      return readCsvRows(filePath);
+    case 'json':
+      return readJsonRows(filePath);
+    case 'ndjson':
+      return readNdjsonRows(filePath);
+    case 'xlsx':
+      return readXlsxRows(filePath, options.sheet);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+};
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  RowParseError,
+  detectFormat,
+  readRows
+};
@@ -0,0 +1,85 @@
+// Notifiers deliver messages to users. Every notifier implements
+//
+//   send({ to, subject, text }) -> Promise
+//
+// and is chosen with NOTIFIER (default: console).
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes messages to the server log; for development
+class ConsoleNotifier {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`Notification to ${to}: ${subject}\n${text}`);
+  }
+}
+
+// Appends each message as a JSON line to NOTIFIER_FILE, so tests and local
+// setups can inspect what would have been sent
+class FileNotifier {
+  constructor({ filePath = process.env.NOTIFIER_FILE || 'notifications.log' } = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+  }
+
+  async send({ to, subject, text }) {
+    const line = JSON.stringify({ to, subject, text, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(this.filePath, `${line}\n`);
+  }
+}
+
+// Sends email through the SMTP server configured with the SMTP_* variables
+class SmtpNotifier {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.SMTP_FROM || 'Course Compass <no-reply@coursecompass.local>'
+  } = {}) {
+    if (!host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    this.name = 'smtp';
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    await this.transport.sendMail({ from: this.from, to, subject, text });
+  }
+}
+
+const NOTIFIERS = {
+  console: ConsoleNotifier,
+  file: FileNotifier,
+  smtp: SmtpNotifier
+};
+
+// Notifier named by NOTIFIER (default: console)
+const createNotifier = (name = process.env.NOTIFIER || 'console') => {
+  const Notifier = NOTIFIERS[name];
+  if (!Notifier) {
+    throw new Error(`Unknown notifier: ${name}. Available: ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+  return new Notifier();
+};
+
+module.exports = {
+  ConsoleNotifier,
+  FileNotifier,
+  SmtpNotifier,
+  createNotifier
+};
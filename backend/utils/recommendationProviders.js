@@ -0,0 +1,394 @@
+// Recommendation providers rank candidate courses from the database for a
+// student's preferences. Every provider implements
+//
+//   rankCourses({ preferences, candidates }) -> { rankings, reasoning }
+//
+// where `candidates` are lean Course documents and `rankings` is an ordered
+// list of { id, reason } referring to candidate uniqueIds. Providers also
+// implement
+//
+//   streamRankings({ preferences, candidates, onRanking }) -> { rankings, reasoning }
+//
+// which calls onRanking(entry) for each ranking as soon as it is known.
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Errors worth retrying: rate limits, server errors and timeouts
+class ProviderError extends Error {
+  constructor(message, { retryable = false, status } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const topicText = preferences => preferences.topics.join(', ');
+
+// Text of the first candidate in a Gemini response, or null if it has none
+const responseText = (data) => {
+  const parts = data && data.candidates && data.candidates[0] && data.candidates[0].content
+    ? data.candidates[0].content.parts
+    : null;
+
+  if (!parts || parts.length === 0) return null;
+  return parts.map(part => part.text || '').join('');
+};
+
+// Deterministic provider that needs no network access. Courses are ranked by
+// how many of the requested topics they mention, keeping the candidate order
+// for ties, so the same request always gives the same answer.
+class LocalRecommendationProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async rankCourses({ preferences, candidates }) {
+    const topics = preferences.topics.map(topic => topic.toLowerCase());
+
+    const rankings = candidates
+      .map((course, index) => {
+        const text = [
+          course.courseName,
+          course.disciplineMajor,
+          course.overviewDescription,
+          ...(course.keywords || [])
+        ].join(' ').toLowerCase();
+        const matched = topics.filter(topic => text.includes(topic));
+        return { course, index, matched };
+      })
+      .sort((a, b) => b.matched.length - a.matched.length || a.index - b.index)
+      .map(({ course, matched }) => ({
+        id: course.uniqueId,
+        reason: matched.length > 0
+          ? `Covers ${matched.join(', ')}`
+          : `Related to your interest in ${topicText(preferences)}`
+      }));
+
+    return {
+      rankings,
+      reasoning: `Ranked by how closely each course matches your interest in ${topicText(preferences)}.`
+    };
+  }
+
+  // Local rankings are computed at once, so they are all sent together
+  async streamRankings({ preferences, candidates, onRanking }) {
+    const ranking = await this.rankCourses({ preferences, candidates });
+    ranking.rankings.forEach(entry => onRanking(entry));
+    return ranking;
+  }
+}
+
+// Add a ranking entry from the model when it names a known course that is not
+// ranked yet. Returns the added entry, or null.
+const addRanking = (rankings, entry, knownIds) => {
+  const id = entry && String(entry.id);
+  if (!knownIds.has(id) || rankings.some(ranking => ranking.id === id)) return null;
+
+  const ranking = { id, reason: String(entry.reason || '') };
+  rankings.push(ranking);
+  return ranking;
+};
+
+// Complete objects in the "rankings" array of a partial JSON answer, so
+// rankings can be used while the rest of the answer is still arriving
+const partialRankings = (text) => {
+  const key = text.indexOf('"rankings"');
+  const open = key === -1 ? -1 : text.indexOf('[', key);
+  if (open === -1) return [];
+
+  const entries = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = open + 1; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = index;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          entries.push(JSON.parse(text.slice(objectStart, index + 1)));
+        } catch (error) {
+          // Skip malformed entries; the full answer is validated at the end
+        }
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return entries;
+};
+
+// Retries after a failed Gemini request; 0 disables retrying
+const parsedMaxRetries = parseInt(process.env.GEMINI_MAX_RETRIES);
+const GEMINI_MAX_RETRIES = Number.isNaN(parsedMaxRetries) ? 2 : parsedMaxRetries;
+
+// Google Gemini provider. The prompt lists the candidate courses and asks
+// for a JSON ranking of their ids; requests time out and are retried with
+// backoff on rate limits, server errors and timeouts.
+class GeminiRecommendationProvider {
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    timeoutMs = parseInt(process.env.GEMINI_TIMEOUT_MS) || 10000,
+    maxRetries = GEMINI_MAX_RETRIES,
+    retryDelayMs = 500
+  } = {}) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  buildPrompt({ preferences, candidates }) {
+    const courses = candidates.map(course => ({
+      id: course.uniqueId,
+      name: course.courseName,
+      university: course.universityName,
+      level: course.courseLevel,
+      discipline: course.disciplineMajor,
+      specialization: course.specialization,
+      durationMonths: course.durationMonths,
+      attendance: course.attendanceType,
+      tuition: `${course.firstYearTuitionFee} ${course.tuitionFeeCurrency}`,
+      keywords: course.keywords,
+      summary: course.summary || course.overviewDescription
+    }));
+
+    return [
+      'You are a university course advisor. Rank the candidate courses below for this student.',
+      `Student preferences: ${JSON.stringify(preferences)}`,
+      `Candidate courses: ${JSON.stringify(courses)}`,
+      'Only use ids from the candidate list. Leave out courses that do not fit.',
+      'Respond with JSON only, in the form:',
+      '{"rankings": [{"id": "<course id>", "reason": "<one sentence>"}], "reasoning": "<short overall explanation>"}'
+    ].join('\n\n');
+  }
+
+  // POST the prompt to a Gemini model method, turning network failures and
+  // timeouts into retryable ProviderErrors. The API key goes in a header so it
+  // stays out of URLs, logs and error messages.
+  async requestGemini(method, prompt, signal) {
+    let response;
+    try {
+      response = await fetch(`${GEMINI_BASE_URL}/${this.model}:${method}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey
+        },
+        body: JSON.stringify({
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig: {
+            temperature: 0.2,
+            responseMimeType: 'application/json'
+          }
+        }),
+        signal
+      });
+    } catch (error) {
+      const message = error.name === 'AbortError'
+        ? `Gemini API timed out after ${this.timeoutMs}ms`
+        : `Gemini API request failed: ${error.message}`;
+      throw new ProviderError(message, { retryable: true });
+    }
+
+    if (!response.ok) {
+      throw new ProviderError(`Gemini API error: ${response.status}`, {
+        retryable: response.status === 429 || response.status >= 500,
+        status: response.status
+      });
+    }
+
+    return response;
+  }
+
+  async callGeminiAPI(prompt) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let data;
+    try {
+      const response = await this.requestGemini('generateContent', prompt, controller.signal);
+      data = await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = responseText(data);
+    if (text === null) {
+      throw new ProviderError('Gemini API returned no content', { retryable: true });
+    }
+
+    return text;
+  }
+
+  // Stream the answer as server-sent events, calling onText with the answer
+  // received so far after each chunk. The timeout applies to the gap between
+  // chunks rather than to the whole answer.
+  async streamGeminiAPI(prompt, onText) {
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    };
+
+    let text = '';
+    try {
+      const response = await this.requestGemini('streamGenerateContent?alt=sse', prompt, controller.signal);
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const chunk of response.body) {
+        resetTimer();
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach((line) => {
+          if (!line.startsWith('data:')) return;
+          const part = responseText(JSON.parse(line.slice(5)));
+          if (part) text += part;
+        });
+        onText(text);
+      }
+    } catch (error) {
+      if (error instanceof ProviderError) throw error;
+      const message = error.name === 'AbortError'
+        ? `Gemini API stream stalled for ${this.timeoutMs}ms`
+        : `Gemini API stream failed: ${error.message}`;
+      throw new ProviderError(message, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!text) {
+      throw new ProviderError('Gemini API returned no content', { retryable: true });
+    }
+
+    return text;
+  }
+
+  // Parse the model's JSON answer, keeping only known, distinct course ids
+  parseRankings(text, candidates) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    } catch (error) {
+      throw new ProviderError(`Gemini returned invalid JSON: ${error.message}`, { retryable: true });
+    }
+
+    const knownIds = new Set(candidates.map(course => course.uniqueId));
+    const rankings = [];
+    (Array.isArray(parsed.rankings) ? parsed.rankings : []).forEach(entry => addRanking(rankings, entry, knownIds));
+
+    return {
+      rankings,
+      reasoning: typeof parsed.reasoning === 'string' ? parsed.reasoning : ''
+    };
+  }
+
+  async rankCourses({ preferences, candidates }) {
+    if (!this.apiKey) {
+      throw new ProviderError('GEMINI_API_KEY is not configured');
+    }
+    if (candidates.length === 0) {
+      return { rankings: [], reasoning: '' };
+    }
+
+    const prompt = this.buildPrompt({ preferences, candidates });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return this.parseRankings(await this.callGeminiAPI(prompt), candidates);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) throw error;
+        await wait(this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  // Rankings are passed on as each one is complete in the streamed answer.
+  // A failed attempt is only retried if nothing was passed on yet.
+  async streamRankings({ preferences, candidates, onRanking }) {
+    if (!this.apiKey) {
+      throw new ProviderError('GEMINI_API_KEY is not configured');
+    }
+    if (candidates.length === 0) {
+      return { rankings: [], reasoning: '' };
+    }
+
+    const prompt = this.buildPrompt({ preferences, candidates });
+    const knownIds = new Set(candidates.map(course => course.uniqueId));
+    const rankings = [];
+
+    for (let attempt = 0; ; attempt++) {
+      let seen = 0;
+      try {
+        const text = await this.streamGeminiAPI(prompt, (partial) => {
+          const entries = partialRankings(partial);
+          entries.slice(seen).forEach((entry) => {
+            const ranking = addRanking(rankings, entry, knownIds);
+            if (ranking) onRanking(ranking);
+          });
+          seen = entries.length;
+        });
+
+        // Rankings in the final answer that were not complete in any chunk
+        const parsed = this.parseRankings(text, candidates);
+        parsed.rankings.forEach((entry) => {
+          const ranking = addRanking(rankings, entry, knownIds);
+          if (ranking) onRanking(ranking);
+        });
+
+        return { rankings, reasoning: parsed.reasoning };
+      } catch (error) {
+        if (!error.retryable || rankings.length > 0 || attempt >= this.maxRetries) throw error;
+        await wait(this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+}
+
+const PROVIDERS = {
+  local: LocalRecommendationProvider,
+  gemini: GeminiRecommendationProvider
+};
+
+// Provider named by RECOMMENDATION_PROVIDER (default: local)
+const createRecommendationProvider = (name = process.env.RECOMMENDATION_PROVIDER || 'local') => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown recommendation provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider();
+};
+
+module.exports = {
+  ProviderError,
+  LocalRecommendationProvider,
+  GeminiRecommendationProvider,
+  createRecommendationProvider
+};
@@ -0,0 +1,257 @@
+const Course = require('../models/Course');
+const { ACTIVE_COURSE_FILTER } = require('./courseQuery');
+const { normalizeText } = require('./searchText');
+const { convertToBase } = require('./currency');
+
+// Relative weight of each factor in the match score. Override with a JSON
+// object in RECOMMENDATION_WEIGHTS, e.g. {"topic": 0.6, "budget": 0.1}.
+const DEFAULT_WEIGHTS = {
+  topic: 0.5,
+  skillLevel: 0.2,
+  duration: 0.15,
+  budget: 0.15
+};
+
+// Courses scored per request
+const CANDIDATE_POOL = parseInt(process.env.RECOMMENDATION_CANDIDATE_POOL) || 300;
+
+// How well each course level suits a skill level
+const SKILL_LEVEL_FIT = {
+  beginner: { Certificate: 1, Diploma: 1, Undergraduate: 1, Postgraduate: 0.4, Doctorate: 0 },
+  intermediate: { Certificate: 0.7, Diploma: 0.7, Undergraduate: 0.8, Postgraduate: 1, Doctorate: 0.4 },
+  advanced: { Certificate: 0.3, Diploma: 0.3, Undergraduate: 0.4, Postgraduate: 0.9, Doctorate: 1 }
+};
+
+// Beginners are steered away from courses with long prerequisite lists
+const BEGINNER_PREREQUISITE_LIMIT = 2;
+const PREREQUISITE_PENALTY = 0.2;
+
+// Months covered by each duration preference
+const DURATION_BUCKETS = {
+  short: { min: 0, max: 12 },
+  medium: { min: 13, max: 24 },
+  long: { min: 25, max: Infinity }
+};
+
+// Score lost per month outside the preferred duration
+const DURATION_DECAY_PER_MONTH = 1 / 12;
+
+// Courses this far over budget (as a share of it) score zero for budget
+const BUDGET_TOLERANCE = 0.5;
+
+// Strength of a topic match by where it was found
+const TOPIC_MATCH_STRENGTH = [
+  { source: 'keyword', strength: 1 },
+  { source: 'discipline', strength: 0.9 },
+  { source: 'specialization', strength: 0.9 },
+  { source: 'course name', strength: 0.8 },
+  { source: 'description', strength: 0.5 }
+];
+
+const loadWeights = () => {
+  if (!process.env.RECOMMENDATION_WEIGHTS) return DEFAULT_WEIGHTS;
+
+  try {
+    const overrides = JSON.parse(process.env.RECOMMENDATION_WEIGHTS);
+    const weights = { ...DEFAULT_WEIGHTS };
+    Object.keys(DEFAULT_WEIGHTS).forEach((factor) => {
+      const weight = Number(overrides[factor]);
+      if (overrides[factor] !== undefined && Number.isFinite(weight) && weight >= 0) {
+        weights[factor] = weight;
+      }
+    });
+    return weights;
+  } catch (error) {
+    console.error('Invalid RECOMMENDATION_WEIGHTS, using defaults:', error.message);
+    return DEFAULT_WEIGHTS;
+  }
+};
+
+const RECOMMENDATION_WEIGHTS = loadWeights();
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields searched for each topic, with the strength scoreTopics gives a match
+// in them
+const CANDIDATE_FIELDS = [
+  { field: 'keywords', source: 'keyword' },
+  { field: 'disciplineMajor', source: 'discipline' },
+  { field: 'specialization', source: 'specialization' },
+  { field: 'courseName', source: 'course name' },
+  { field: 'overviewDescription', source: 'description' }
+].map(({ field, source }) => ({
+  field,
+  strength: TOPIC_MATCH_STRENGTH.find(entry => entry.source === source).strength
+}));
+
+// Strength of a topic's strongest match in a course, as an aggregation
+// expression
+const topicRelevance = (pattern) => ({
+  $switch: {
+    branches: CANDIDATE_FIELDS.map(({ field, strength }) => ({
+      case: field === 'keywords'
+        ? {
+          $anyElementTrue: [{
+            $map: {
+              input: { $ifNull: ['$keywords', []] },
+              as: 'keyword',
+              in: { $regexMatch: { input: { $toString: '$$keyword' }, regex: pattern } }
+            }
+          }]
+        }
+        : { $regexMatch: { input: { $ifNull: [`$${field}`, ''] }, regex: pattern } },
+      then: strength
+    })),
+    default: 0
+  }
+});
+
+// Active courses mentioning any of the topics, as candidates for scoring.
+// When more match than the pool holds, the courses with the strongest topic
+// matches are kept (ties by _id), so the same request always scores the
+// same candidates.
+const findCandidateCourses = (topics, extraFilter = {}) => {
+  const patterns = topics.map(topic => new RegExp(escapeRegex(topic.trim()), 'i'));
+
+  return Course.aggregate([
+    {
+      $match: {
+        ...ACTIVE_COURSE_FILTER,
+        ...extraFilter,
+        $or: CANDIDATE_FIELDS.map(({ field }) => ({ [field]: { $in: patterns } }))
+      }
+    },
+    { $addFields: { topicRelevance: { $add: patterns.map(topicRelevance) } } },
+    { $sort: { topicRelevance: -1, _id: 1 } },
+    { $limit: CANDIDATE_POOL },
+    { $project: { topicRelevance: 0, searchGrams: 0 } }
+  ]);
+};
+
+const containsTopic = (value, topic) => ` ${normalizeText(value)} `.includes(` ${topic} `);
+
+// Where a topic appears in a course, strongest match first
+const matchTopic = (course, topic) => {
+  const sources = {
+    keyword: (course.keywords || []).some(keyword => normalizeText(keyword) === topic),
+    discipline: containsTopic(course.disciplineMajor, topic),
+    specialization: containsTopic(course.specialization, topic),
+    'course name': containsTopic(course.courseName, topic),
+    description: containsTopic([course.overviewDescription, ...(course.learningOutcomes || [])].join(' '), topic)
+  };
+
+  return TOPIC_MATCH_STRENGTH.find(({ source }) => sources[source]) || null;
+};
+
+const scoreTopics = (course, topics) => {
+  const normalized = topics.map(normalizeText).filter(Boolean);
+  const matches = normalized.map(topic => ({ topic, match: matchTopic(course, topic) }));
+  const matched = matches.filter(({ match }) => match);
+  const score = matches.reduce((sum, { match }) => sum + (match ? match.strength : 0), 0) / (matches.length || 1);
+
+  return {
+    score,
+    detail: matched.length > 0
+      ? `Matches ${matched.map(({ topic, match }) => `${topic} (${match.source})`).join(', ')}`
+      : 'No direct topic match'
+  };
+};
+
+const scoreSkillLevel = (course, skillLevel) => {
+  let score = SKILL_LEVEL_FIT[skillLevel][course.courseLevel] || 0;
+  let detail = `${course.courseLevel} level for a ${skillLevel} student`;
+
+  const prerequisites = (course.prerequisites || []).length;
+  if (skillLevel === 'beginner' && prerequisites > BEGINNER_PREREQUISITE_LIMIT) {
+    score = Math.max(0, score - PREREQUISITE_PENALTY);
+    detail += `; ${prerequisites} prerequisites`;
+  }
+
+  return { score, detail };
+};
+
+const scoreDuration = (course, duration) => {
+  const { min, max } = DURATION_BUCKETS[duration];
+  const months = course.durationMonths;
+
+  if (typeof months !== 'number') {
+    return { score: 0, detail: 'Duration unknown' };
+  }
+
+  const distance = months < min ? min - months : Math.max(0, months - max);
+  return {
+    score: Math.max(0, 1 - distance * DURATION_DECAY_PER_MONTH),
+    detail: distance === 0
+      ? `${months} months fits a ${duration} course`
+      : `${months} months is ${distance} month${distance === 1 ? '' : 's'} outside a ${duration} course`
+  };
+};
+
+// Budget compared in the base currency when a display currency is given,
+// otherwise against the course's own tuition figure
+const scoreBudget = (course, maxTuition, display) => {
+  const tuition = display ? course.baseTuitionFee : course.firstYearTuitionFee;
+  const budget = display ? convertToBase(maxTuition, display.currency, display.rates) : maxTuition;
+
+  if (typeof tuition !== 'number' || typeof budget !== 'number') {
+    return { score: 0, detail: 'Tuition could not be compared with the budget' };
+  }
+  if (tuition <= budget) {
+    return { score: 1, detail: 'Within budget' };
+  }
+
+  if (budget <= 0) {
+    return { score: 0, detail: 'Over budget' };
+  }
+
+  const over = (tuition - budget) / budget;
+  return {
+    score: Math.max(0, 1 - over / BUDGET_TOLERANCE),
+    detail: `${Math.round(over * 100)}% over budget`
+  };
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Score one course against the preferences. Factors the student did not ask
+// about are left out and the remaining weights rescaled, so matchScore is
+// always 0-100.
+const scoreCourse = (course, preferences, display = null, weights = RECOMMENDATION_WEIGHTS) => {
+  const { topics, skillLevel, duration, maxTuition } = preferences;
+
+  const factors = [{ factor: 'topic', ...scoreTopics(course, topics) }];
+  if (skillLevel) factors.push({ factor: 'skillLevel', ...scoreSkillLevel(course, skillLevel) });
+  if (duration) factors.push({ factor: 'duration', ...scoreDuration(course, duration) });
+  if (maxTuition !== undefined) factors.push({ factor: 'budget', ...scoreBudget(course, maxTuition, display) });
+
+  const totalWeight = factors.reduce((sum, { factor }) => sum + weights[factor], 0);
+  const score = totalWeight > 0
+    ? factors.reduce((sum, { factor, score: value }) => sum + value * weights[factor], 0) / totalWeight
+    : 0;
+
+  return {
+    matchScore: Math.round(score * 100),
+    factors: factors.map(({ factor, score: value, detail }) => ({
+      factor,
+      score: round(value),
+      weight: totalWeight > 0 ? round(weights[factor] / totalWeight) : 0,
+      detail
+    }))
+  };
+};
+
+// Score and rank courses, best first; ties go to the course name
+const rankCourses = (courses, preferences, display = null) => {
+  return courses
+    .map(course => ({ course, ...scoreCourse(course, preferences, display) }))
+    .sort((a, b) => b.matchScore - a.matchScore || a.course.courseName.localeCompare(b.course.courseName));
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  RECOMMENDATION_WEIGHTS,
+  DURATION_BUCKETS,
+  findCandidateCourses,
+  scoreCourse,
+  rankCourses
+};
@@ -92,6 +92,22 @@ class RedisClient {
     }
   }
 
+  // Set a key only when it does not exist yet. Returns true when it was set,
+  // and also when Redis is unavailable so callers carry on without it.
+  async setIfAbsent(key, value, expirySeconds = 3600) {
+    try {
+      if (!this.isConnected) {
+        return true;
+      }
+
+      const result = await this.client.set(key, value, { NX: true, EX: expirySeconds });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis setIfAbsent error:', error);
+      return true;
+    }
+  }
+
   async exists(key) {
     try {
       if (!this.isConnected) {
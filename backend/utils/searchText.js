@@ -0,0 +1,66 @@
+// Text helpers for typo-tolerant course search. Courses store the trigrams of
+// their searchable fields so partial and misspelled queries can be matched
+// with an ordinary MongoDB index.
+
+// Course fields whose text is indexed as trigrams
+const SEARCH_GRAM_FIELDS = ['courseName', 'universityName', 'disciplineMajor', 'keywords'];
+
+// Lowercase, strip accents and punctuation, and collapse whitespace
+const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Trigrams of every word, padded so that word starts weigh more
+// ("data" -> "  d", " da", "dat", "ata", "ta "). With `partial` the last word
+// is treated as still being typed and gets no end padding.
+const toTrigrams = (value, { partial = false } = {}) => {
+  const words = normalizeText(value).split(' ').filter(Boolean);
+  const grams = new Set();
+
+  words.forEach((word, index) => {
+    const isLast = index === words.length - 1;
+    const padded = `  ${word}${partial && isLast ? '' : ' '}`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+
+  return [...grams];
+};
+
+// Trigrams stored on a course for its searchable fields
+const buildSearchGrams = (course) => {
+  const text = SEARCH_GRAM_FIELDS
+    .map(field => course[field])
+    .flat()
+    .filter(Boolean)
+    .join(' ');
+
+  return toTrigrams(text);
+};
+
+// Whether a list of { field } changes touches any searchable field
+const touchesSearchFields = (changes) => {
+  return changes.some(change => SEARCH_GRAM_FIELDS.includes(change.field));
+};
+
+// Share of the query trigrams found in `value`, from 0 to 1
+const gramSimilarity = (queryGrams, value) => {
+  if (queryGrams.length === 0) return 0;
+  const valueGrams = new Set(toTrigrams(value));
+  return queryGrams.filter(gram => valueGrams.has(gram)).length / queryGrams.length;
+};
+
+module.exports = {
+  SEARCH_GRAM_FIELDS,
+  normalizeText,
+  toTrigrams,
+  buildSearchGrams,
+  touchesSearchFields,
+  gramSimilarity
+};
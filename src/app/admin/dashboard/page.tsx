@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '@/contexts/AuthContext';
-import { apiClient } from '@/lib/api';
+import { apiClient, type ImportJob } from '@/lib/api';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
@@ -24,6 +24,9 @@ import {
 } from 'lucide-react';
 import Link from 'next/link';
 
+// How often a queued upload's status is checked
+const IMPORT_POLL_INTERVAL_MS = 2000;
+
 interface DashboardStats {
   summary: {
     totalCourses: number;
@@ -44,6 +47,8 @@ export default function AdminDashboard() {
   const [uploadFile, setUploadFile] = useState<File | null>(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadMessage, setUploadMessage] = useState<{ type: 'success' | 'error'; message: string } | null>(null);
+  const [importStatusUrl, setImportStatusUrl] = useState<string | null>(null);
+  const [importJob, setImportJob] = useState<ImportJob | null>(null);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -54,6 +59,53 @@ export default function AdminDashboard() {
     loadDashboardStats();
   }, [isAuthenticated, router]);
 
+  // Uploads are imported in the background; follow the job until it finishes
+  useEffect(() => {
+    if (!importStatusUrl) return;
+
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const poll = async () => {
+      try {
+        const { job } = await apiClient.getImportJob(importStatusUrl);
+        if (cancelled) return;
+        setImportJob(job);
+
+        if (job.status === 'completed') {
+          setUploadMessage({
+            type: 'success',
+            message: `Import completed! ${job.successfulRows} courses processed successfully (${job.createdRows} created, ${job.updatedRows} updated, ${job.unchangedRows} unchanged)${job.failedRows > 0 ? `, ${job.failedRows} rows failed` : ''}.`
+          });
+          setImportStatusUrl(null);
+          await loadDashboardStats();
+        } else if (job.status === 'failed') {
+          setUploadMessage({
+            type: 'error',
+            message: `Import failed: ${job.failureReason || 'unknown error'}`
+          });
+          setImportStatusUrl(null);
+        } else {
+          timer = setTimeout(poll, IMPORT_POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        if (cancelled) return;
+        setUploadMessage({
+          type: 'error',
+          message: error instanceof Error ? error.message : 'Could not check import status'
+        });
+        setImportStatusUrl(null);
+      }
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [importStatusUrl]);
+
   const loadDashboardStats = async () => {
     try {
       const response = await apiClient.getCourseStats();
@@ -76,11 +128,12 @@ export default function AdminDashboard() {
       const response = await apiClient.uploadCourses(uploadFile);
       setUploadMessage({
         type: 'success',
-        message: `Upload completed! ${response.summary.successful} courses processed successfully.`
+        message: `${response.message}. Importing in the background...`
       });
       setUploadFile(null);
-      // Reload stats after upload
-      await loadDashboardStats();
+      setImportJob(null);
+      // Stats are reloaded once the import job completes
+      setImportStatusUrl(response.statusUrl);
     } catch (error) {
       setUploadMessage({
         type: 'error',
@@ -213,6 +266,21 @@ export default function AdminDashboard() {
                 </Alert>
               )}
 
+              {importStatusUrl && (
+                <div className="mb-4 flex items-center justify-between text-sm">
+                  <div className="flex items-center gap-2">
+                    <div className="h-4 w-4 animate-spin rounded-full border-2 border-primary border-t-transparent" />
+                    <span className="capitalize">{importJob?.status || 'queued'}</span>
+                  </div>
+                  {/* The row total is only known once the whole file has been read */}
+                  <span className="text-muted-foreground">
+                    {importJob?.status === 'processing'
+                      ? `${importJob.processedRows} rows processed`
+                      : 'Waiting to start'}
+                  </span>
+                </div>
+              )}
+
               <form onSubmit={handleFileUpload} className="space-y-4">
                 <div className="space-y-2">
                   <Label htmlFor="csvFile">CSV File</Label>
@@ -230,7 +298,7 @@ export default function AdminDashboard() {
 
                 <Button 
                   type="submit" 
-                  disabled={!uploadFile || isUploading}
+                  disabled={!uploadFile || isUploading || !!importStatusUrl}
                   className="w-full"
                 >
                   {isUploading ? (
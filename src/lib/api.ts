@@ -1,3 +1,19 @@
+export type ImportJobStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface ImportJob {
+  id: string;
+  status: ImportJobStatus;
+  originalFilename: string;
+  totalRows: number;
+  processedRows: number;
+  successfulRows: number;
+  createdRows: number;
+  updatedRows: number;
+  unchangedRows: number;
+  failedRows: number;
+  failureReason?: string;
+}
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
 class ApiClient {
@@ -27,7 +43,11 @@ class ApiClient {
     endpoint: string,
     options: RequestInit = {}
   ): Promise<T> {
-    const url = `${this.baseURL}${endpoint}`;
+    // Endpoints are relative to the API base URL; status URLs returned by the
+    // API (e.g. /api/courses/imports/:id) already carry the /api prefix
+    const url = endpoint.startsWith('/api/')
+      ? `${this.baseURL.replace(/\/api\/?$/, '')}${endpoint}`
+      : `${this.baseURL}${endpoint}`;
     
     const headers: HeadersInit = {
       'Content-Type': 'application/json',
@@ -181,12 +201,11 @@ class ApiClient {
 
     return await this.request<{
       message: string;
-      summary: {
-        totalProcessed: number;
-        successful: number;
-        errors: number;
-      };
-      errors: any[];
+      jobId: string;
+      dryRun: boolean;
+      mappingProfile: string | null;
+      status: ImportJobStatus;
+      statusUrl: string;
     }>('/courses/upload', {
       method: 'POST',
       headers: {
@@ -196,6 +215,11 @@ class ApiClient {
     });
   }
 
+  // Poll an upload's statusUrl
+  async getImportJob(statusUrl: string) {
+    return await this.request<{ job: ImportJob }>(statusUrl);
+  }
+
   // Recommendation endpoints
   async getRecommendations(preferences: {
     topics: string[];